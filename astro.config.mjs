@@ -4,6 +4,9 @@ import tailwind from '@astrojs/tailwind';
 
 // Configure base for GitHub Project Pages (served under /cardgallery)
 export default defineConfig({
+  // Absolute origin for feeds, the sitemap and JSON-LD, e.g. https://<user>.github.io.
+  // Defaults to the published site so those never fall back to relative URLs.
+  site: process.env.SITE_URL || 'https://amarranta.github.io',
   base: '/cardgallery/',
   output: 'static',
   integrations: [tailwind(), react()]
@@ -1,59 +1,59 @@
-import { v2 as cloudinary } from 'cloudinary';
-import { Cloudinary } from '@cloudinary/url-gen';
-import { fill, limitFit } from '@cloudinary/url-gen/actions/resize';
-import { autoGravity } from '@cloudinary/url-gen/qualifiers/gravity';
 import fs from 'fs';
 import path from 'path';
+import { createSource, SOURCE_NAMES } from './scripts/sources/index.mjs';
+import { recordSnapshot } from './scripts/gallery-history.mjs';
 
-const {
-  CLOUDINARY_CLOUD_NAME,
-  CLOUDINARY_API_KEY,
-  CLOUDINARY_API_SECRET,
-  GALLERY_ROOT = 'postcards'
-} = process.env;
+const { GALLERY_ROOT = 'postcards', GALLERY_SOURCE = 'cloudinary' } = process.env;
 
-if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
-  console.error('Missing Cloudinary credentials in environment variables.');
-  process.exit(1);
-}
+const argv = process.argv.slice(2);
 
-cloudinary.config({
-  cloud_name: CLOUDINARY_CLOUD_NAME,
-  api_key: CLOUDINARY_API_KEY,
-  api_secret: CLOUDINARY_API_SECRET,
-  secure: true
-});
+function readArg(name, fallback = null) {
+  const eq = argv.find(a => a.startsWith(`${name}=`));
+  if (eq) return eq.slice(name.length + 1);
+  const idx = argv.indexOf(name);
+  if (idx >= 0) {
+    const v = argv[idx + 1];
+    return v && !v.startsWith('-') ? v : fallback;
+  }
+  return fallback;
+}
 
-const SEARCH_EXPRESSION = `(asset_folder:"${GALLERY_ROOT}/*" OR folder:"${GALLERY_ROOT}/*") AND resource_type:image AND -tags=hidden`;
+const sourceName = readArg('--source', GALLERY_SOURCE);
+const skipHistory = argv.includes('--no-history');
 const OUTPUT_PATH = path.resolve('src', 'data', 'gallery.json');
-const cld = new Cloudinary({
-  cloud: { cloudName: CLOUDINARY_CLOUD_NAME },
-  url: { secure: true }
-});
-
-async function fetchAllResources() {
-  let resources = [];
-  let next_cursor = undefined;
-  do {
-    const res = await cloudinary.search
-      .expression(SEARCH_EXPRESSION)
-      .max_results(500)
-      .with_field('context')
-      .with_field('metadata')
-      .with_field('tags')
-      .next_cursor(next_cursor)
-      .execute();
-    resources = resources.concat(res.resources);
-    next_cursor = res.next_cursor;
-  } while (next_cursor);
-  return resources;
+const SWAP_STATUSES = ['available', 'reserved', 'swapped'];
+
+if (!SOURCE_NAMES.includes(sourceName)) {
+  console.error(`Unknown --source "${sourceName}". Expected one of: ${SOURCE_NAMES.join(', ')}`);
+  process.exit(1);
+}
+
+let source;
+try {
+  source = createSource(sourceName, {
+    root: GALLERY_ROOT,
+    dir: readArg('--dir', process.env.LOCAL_GALLERY_DIR || null),
+    file: readArg('--fixture', process.env.GALLERY_FIXTURE || null),
+    record: readArg('--record', null)
+  });
+} catch (err) {
+  console.error(err.message);
+  process.exit(1);
 }
 
 function getFolder(resource) {
   return resource.asset_folder || resource.folder || '';
 }
 
-function mapResource(resource) {
+// Swap status lives in the `status` structured metadata field (or a `status`
+// context key); anything unrecognised is left out and treated as available.
+function readStatus(metadata, context) {
+  const raw = [metadata.status, context.status].find(value => typeof value === 'string' && value.trim().length > 0);
+  const status = raw ? raw.trim().toLowerCase() : null;
+  return SWAP_STATUSES.includes(status) ? status : null;
+}
+
+function mapResource(resource, source) {
   const context = resource.context?.custom || {};
   const metadata = resource.metadata || {};
   const metaName = typeof metadata.name === 'string' && metadata.name.trim().length > 0 ? metadata.name.trim() : null;
@@ -62,17 +62,8 @@ function mapResource(resource) {
   const metaPlaceId = typeof metadata.placeId === 'string' && metadata.placeId.trim().length > 0 ? metadata.placeId.trim() : null;
   const contextAuthor = typeof context.author === 'string' && context.author.trim().length > 0 ? context.author.trim() : null;
   const author = metaAuthor || contextAuthor || null;
-  const preview = cld.image(resource.public_id);
-  preview.format('auto').quality('auto');
-  preview.resize(limitFit().width(1200));
-
-  const grid = cld.image(resource.public_id);
-  grid.format('auto').quality('auto');
-  grid.resize(limitFit().width(720));
-
-  const thumb = cld.image(resource.public_id);
-  thumb.format('auto').quality('auto');
-  thumb.resize(fill().width(480).height(360).gravity(autoGravity()));
+  const status = readStatus(metadata, context);
+  const urls = source.buildUrls(resource);
 
   return {
     public_id: resource.public_id,
@@ -80,43 +71,77 @@ function mapResource(resource) {
     width: resource.width,
     height: resource.height,
     bytes: resource.bytes,
+    created_at: resource.created_at || null,
+    uploaded_at: resource.uploaded_at || resource.created_at || null,
     folder: getFolder(resource),
     tags: resource.tags || [],
     title: metaName || context.caption || null,
     description: metaDesc || context.alt || null,
-    url: preview.toURL(),
-    grid: grid.toURL(),
-    thumb: thumb.toURL(),
+    url: urls.url,
+    grid: urls.grid,
+    thumb: urls.thumb,
     metadata: {
       name: metaName,
       desc: metaDesc,
       author,
-      placeId: metaPlaceId
+      placeId: metaPlaceId,
+      status
     }
   };
 }
 
+function readPreviousSnapshot() {
+  try {
+    return JSON.parse(fs.readFileSync(OUTPUT_PATH, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+function updateHistory(previous, output) {
+  if (skipHistory) return;
+  // Comparing a fixture or local scan set against a Cloudinary snapshot would
+  // log the whole collection as removed, so only diff like with like.
+  const previousSource = previous?.source || 'cloudinary';
+  if (previous && (previousSource !== output.source || previous.root !== output.root)) {
+    console.log(`History unchanged: previous snapshot came from ${previousSource} (${previous.root}).`);
+    return;
+  }
+  const diff = recordSnapshot(previous, output);
+  if (!diff) {
+    console.log('History started: no previous snapshot to compare with.');
+    return;
+  }
+  console.log(
+    `Changes since last fetch: ${diff.added.length} added, ${diff.removed.length} removed, ` +
+      `${diff.moved.length} moved, ${diff.retagged.length} retagged`
+  );
+}
+
 async function main() {
-  const resources = await fetchAllResources();
+  const previous = readPreviousSnapshot();
+  const resources = await source.fetchResources();
   const folders = {};
   for (const res of resources) {
     const folder = getFolder(res);
     if (!folders[folder]) folders[folder] = [];
-    folders[folder].push(mapResource(res));
+    folders[folder].push(mapResource(res, source));
   }
   const outputDir = path.dirname(OUTPUT_PATH);
   if (!fs.existsSync(outputDir)) fs.mkdirSync(outputDir, { recursive: true });
 
   const output = {
     generatedAt: new Date().toISOString(),
-    cloudName: CLOUDINARY_CLOUD_NAME,
+    cloudName: source.cloudName,
+    source: source.name,
     root: GALLERY_ROOT,
     total: resources.length,
     folders
   };
 
+  updateHistory(previous, output);
   fs.writeFileSync(OUTPUT_PATH, JSON.stringify(output, null, 2), 'utf8');
-  console.log(`Gallery JSON generated: ${OUTPUT_PATH}`);
+  console.log(`Gallery JSON generated from ${source.name}: ${OUTPUT_PATH}`);
 }
 
 main().catch(err => {
@@ -3,25 +3,90 @@
  * Fetches postcard data from postcrossing.com and caches it locally.
  *
  * Usage:
- *   node scripts/fetch-travel-postcards.mjs
+ *   node scripts/fetch-travel-postcards.mjs [--user <name>] [--home <CC>]
+ *     [--refresh | --stale-after <days>] [--retries <n>] [--save-html <dir>] [--no-geocode]
+ *   node scripts/fetch-travel-postcards.mjs --check-fixtures [<dir>] [--update-fixtures]
  *
- * Reads IDs from  src/data/travel-ids.txt  (one per line).
- * Writes results to  src/data/travel-postcards.json.
+ * Reads IDs from  src/data/travel-ids.txt  (one per line), sent and received
+ * cards alike. Writes results to  src/data/travel-postcards.json  with dates
+ * as ISO days (`2025-10-18`).
+ *
+ * A card is `sent` when its sender is the Postcrossing user (--user,
+ * POSTCROSSING_USER, or `postcrossing_user` kept in the JSON); otherwise it
+ * is `received`. Without a user the ID prefix decides: cards numbered in the
+ * home country (--home, POSTCROSSING_HOME_COUNTRY, or `home_country_code`)
+ * count as sent.
+ *
+ * Cached cards are skipped unless --refresh is given, or --stale-after N and
+ * the card was still travelling when it was fetched more than N days ago.
+ * Failed requests (network errors, HTTP 429 and 5xx) are retried with
+ * exponential backoff.
+ *
+ * Then geocodes every sender and recipient city that geocode-cache.json and
+ * geocode-overrides.json do not know yet (skip the network with --no-geocode)
+ * and lists the ones that still have no coordinates.
+ *
+ * --check-fixtures parses the saved pages in mock-data/postcrossing
+ * (`<id>.html`) and compares the result with `<id>.json`, exiting non-zero
+ * on any difference; --update-fixtures rewrites the expected files.
+ * Save new fixtures with --save-html mock-data/postcrossing.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
-import { resolve, dirname } from 'node:path';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync } from 'node:fs';
+import { resolve, dirname, relative } from 'node:path';
 import { fileURLToPath } from 'node:url';
-import { parse as parseHTML } from 'node-html-parser';
+import { getCardPlaces } from '../src/data/geocoding.js';
+import { countryCodeFromName, toCountryCode } from '../src/data/countries.js';
+import { toIsoDate } from '../src/data/travel-stats.js';
+import { createGeocoder, formatUnresolvedReport } from './geocoding.mjs';
+import { parsePostcard } from './postcrossing-parser.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const ROOT = resolve(__dirname, '..');
 
 const IDS_FILE = resolve(ROOT, 'src/data/travel-ids.txt');
 const OUT_FILE = resolve(ROOT, 'src/data/travel-postcards.json');
+const FIXTURES_DIR = resolve(ROOT, 'mock-data/postcrossing');
 
 const USER_AGENT = 'personal project amarranta.github.io/cardgallery';
 const DELAY_MS = 1500;
+const RETRY_BASE_MS = 2000;
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const argv = process.argv.slice(2);
+
+function readArg(name, fallback = null) {
+  const eq = argv.find(a => a.startsWith(`${name}=`));
+  if (eq) return eq.slice(name.length + 1);
+  const idx = argv.indexOf(name);
+  if (idx >= 0) {
+    const v = argv[idx + 1];
+    return v && !v.startsWith('-') ? v : fallback;
+  }
+  return fallback;
+}
+
+function hasFlag(name) {
+  return argv.includes(name);
+}
+
+function readCount(name, fallback) {
+  const raw = readArg(name, null);
+  if (raw === null) return fallback;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) {
+    console.error(`[error] ${name} expects a non-negative number, got "${raw}"`);
+    process.exit(1);
+  }
+  return n;
+}
+
+const NO_GEOCODE = hasFlag('--no-geocode');
+const REFRESH = hasFlag('--refresh');
+const STALE_AFTER_DAYS = readCount('--stale-after', null);
+const RETRIES = readCount('--retries', 3);
+const SAVE_HTML_DIR = readArg('--save-html', null);
 
 // ---------------------------------------------------------------------------
 // Helpers
@@ -33,12 +98,12 @@ function sleep(ms) {
 
 function loadCache() {
   if (!existsSync(OUT_FILE)) {
-    return { home_country_code: 'NL', generated_at: '', postcards: {} };
+    return { generated_at: '', postcards: {} };
   }
   try {
     return JSON.parse(readFileSync(OUT_FILE, 'utf-8'));
   } catch {
-    return { home_country_code: 'NL', generated_at: '', postcards: {} };
+    return { generated_at: '', postcards: {} };
   }
 }
 
@@ -54,79 +119,131 @@ function loadIds() {
     .filter(l => !l.startsWith('#'));
 }
 
+function retryDelay(attempt, res) {
+  // Retry-After is in seconds; fall back to 2s, 4s, 8s … with a little jitter.
+  const header = Number(res?.headers?.get('retry-after'));
+  if (Number.isFinite(header) && header > 0) return header * 1000;
+  return RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * 500);
+}
+
+async function fetchWithRetry(url) {
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    try {
+      res = await fetch(url, { headers: { 'User-Agent': USER_AGENT } });
+      if (res.ok || !RETRY_STATUSES.has(res.status) || attempt >= RETRIES) return res;
+      console.warn(`[retry] ${url} — HTTP ${res.status} (attempt ${attempt + 1} of ${RETRIES + 1})`);
+    } catch (err) {
+      if (attempt >= RETRIES) throw err;
+      console.warn(`[retry] ${url} — ${err.message} (attempt ${attempt + 1} of ${RETRIES + 1})`);
+    }
+    await sleep(retryDelay(attempt, res));
+  }
+}
+
+/**
+ * Whether a cached card should be fetched again: always with --refresh;
+ * with --stale-after only while it was still travelling (no received date)
+ * and the last fetch is older than the given number of days.
+ */
+function needsFetch(card, now) {
+  if (!card || REFRESH) return true;
+  if (STALE_AFTER_DAYS === null || card.received_date) return false;
+  const fetchedAt = Date.parse(card.fetched_at || '');
+  return !Number.isFinite(fetchedAt) || now - fetchedAt > STALE_AFTER_DAYS * DAY_MS;
+}
+
+function formatWarning(warning) {
+  return `${warning.id} ${warning.field}: ${warning.message}`;
+}
+
 // ---------------------------------------------------------------------------
-// Parser
+// Normalisation
 // ---------------------------------------------------------------------------
 
 /**
- * Parse a single postcard page from postcrossing.com.
- *
- * The page uses schema.org microdata:
- *   - .sender / .receiver blocks with a[itemprop="addressCountry"] for country
- *     (title attr = city, text = country name)
- *   - a[itemprop="url"] inside each block for username
- *   - time[itemprop="startTime"] / time[itemprop="endTime"] for dates
- *   - Plain text "N days" / "N km" near icons for transit info
- *   - img.postcard-image for the card image
+ * Brings a cached card up to the current format: ISO dates, `direction` and,
+ * for cards cached before recipients were parsed, `recipient_country_code`.
+ * Cards that were already classified keep their direction, so it can be
+ * corrected by hand in the JSON.
  */
-function parsePostcard(html, id) {
-  const root = parseHTML(html);
-
-  const country_code = id.split('-')[0];
-
-  // --- Image ---
-  const imgEl = root.querySelector('img.postcard-image')
-    || root.querySelector('img[itemprop="image"]')
-    || root.querySelector('img[alt*="postcard image"]');
-  let image_url = imgEl?.getAttribute('src') || '';
-  if (image_url.startsWith('//')) image_url = 'https:' + image_url;
-
-  // --- Sender block ---
-  const senderBlock = root.querySelector('.sender') || root.querySelector('.details-box');
-  const senderCountryEl = senderBlock?.querySelector('a[itemprop="addressCountry"]')
-    || root.querySelectorAll('a[itemprop="addressCountry"]')[0];
-  const country_name = senderCountryEl?.text?.trim() || '';
-  const city_sent = senderCountryEl?.getAttribute('title')?.trim() || '';
-
-  const senderUserEl = senderBlock?.querySelector('a[itemprop="url"]')
-    || root.querySelectorAll('a[itemprop="url"]')[0];
-  const sender_username = senderUserEl?.text?.trim() || '';
-
-  // --- Recipient block ---
-  const receiverBlock = root.querySelector('.receiver');
-  const recipientCountryEl = receiverBlock?.querySelector('a[itemprop="addressCountry"]')
-    || root.querySelectorAll('a[itemprop="addressCountry"]')[1];
-  const recipient_country = recipientCountryEl?.text?.trim() || '';
-
-  // --- Dates via <time> elements ---
-  const startTimeEl = root.querySelector('time[itemprop="startTime"]');
-  const endTimeEl = root.querySelector('time[itemprop="endTime"]');
-  const date_sent = startTimeEl?.text?.trim() || '';
-  const received_date = endTimeEl?.text?.trim() || '';
-
-  // --- Days in transit & distance from full text ---
-  const fullText = root.text;
-
-  const daysMatch = fullText.match(/(\d+)\s*days?/i);
-  const days_in_transit = daysMatch ? parseInt(daysMatch[1], 10) : null;
-
-  // Distance is in km on postcrossing.com
-  const distMatch = fullText.match(/([\d,]+)\s*km/i);
-  const distance_km = distMatch ? parseInt(distMatch[1].replace(/,/g, ''), 10) : null;
-
-  return {
-    id,
-    country_code,
-    country_name,
-    city_sent,
-    date_sent,
-    days_in_transit,
-    distance_km,
-    sender_username,
-    recipient_country,
-    received_date,
-    image_url
-  };
+function normalizeCard(card, { user, home }) {
+  const next = { ...card };
+  next.date_sent = toIsoDate(next.date_sent) ?? (next.date_sent || null);
+  next.received_date = toIsoDate(next.received_date) ?? (next.received_date || null);
+  if (!next.recipient_country_code) {
+    next.recipient_country_code = countryCodeFromName(next.recipient_country) || '';
+  }
+  if (next.direction !== 'sent' && next.direction !== 'received') {
+    if (user) {
+      next.direction = next.sender_username?.toLowerCase() === user.toLowerCase() ? 'sent' : 'received';
+    } else {
+      next.direction = home && next.country_code === home ? 'sent' : 'received';
+    }
+  }
+  return next;
+}
+
+// ---------------------------------------------------------------------------
+// Fixture check
+// ---------------------------------------------------------------------------
+
+function checkFixtures(dir, update) {
+  if (!existsSync(dir)) {
+    console.error(`[error] Fixture directory not found: ${dir}`);
+    process.exit(1);
+  }
+  const pages = readdirSync(dir).filter(name => name.endsWith('.html')).sort();
+  if (pages.length === 0) {
+    console.error(`[error] No .html fixtures in ${dir}`);
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const page of pages) {
+    const id = page.replace(/\.html$/, '');
+    const actual = parsePostcard(readFileSync(resolve(dir, page), 'utf-8'), id);
+    const expectedFile = resolve(dir, `${id}.json`);
+
+    if (update) {
+      writeFileSync(expectedFile, JSON.stringify(actual, null, 2) + '\n');
+      console.log(`[write] ${relative(ROOT, expectedFile)}`);
+      continue;
+    }
+    if (!existsSync(expectedFile)) {
+      failed++;
+      console.error(`[fail] ${page}`);
+      console.error(`  missing ${relative(ROOT, expectedFile)}; write it with --update-fixtures and review it`);
+      continue;
+    }
+
+    const expected = JSON.parse(readFileSync(expectedFile, 'utf-8'));
+    const diffs = [];
+    for (const field of new Set([...Object.keys(expected.card), ...Object.keys(actual.card)])) {
+      if (JSON.stringify(expected.card[field]) !== JSON.stringify(actual.card[field])) {
+        diffs.push(`${field}: expected ${JSON.stringify(expected.card[field])}, got ${JSON.stringify(actual.card[field])}`);
+      }
+    }
+    const expectedWarnings = (expected.warnings || []).map(formatWarning).sort();
+    const actualWarnings = actual.warnings.map(formatWarning).sort();
+    if (JSON.stringify(expectedWarnings) !== JSON.stringify(actualWarnings)) {
+      diffs.push(`warnings: expected ${JSON.stringify(expectedWarnings)}, got ${JSON.stringify(actualWarnings)}`);
+    }
+
+    if (diffs.length) {
+      failed++;
+      console.error(`[fail] ${page}`);
+      for (const diff of diffs) console.error(`  ${diff}`);
+    } else {
+      console.log(`[ok] ${page}`);
+    }
+  }
+
+  if (failed) {
+    console.error(`\n[fail] ${failed} of ${pages.length} fixture(s) missing or parsed differently`);
+    process.exit(1);
+  }
+  console.log(`\n[done] ${pages.length} fixture(s) checked`);
 }
 
 // ---------------------------------------------------------------------------
@@ -134,6 +251,11 @@ function parsePostcard(html, id) {
 // ---------------------------------------------------------------------------
 
 async function main() {
+  if (hasFlag('--check-fixtures')) {
+    checkFixtures(resolve(readArg('--check-fixtures', FIXTURES_DIR)), hasFlag('--update-fixtures'));
+    return;
+  }
+
   const ids = loadIds();
   if (ids.length === 0) {
     console.log('[info] No IDs to process.');
@@ -141,11 +263,26 @@ async function main() {
   }
 
   const cache = loadCache();
+  const user = readArg('--user', process.env.POSTCROSSING_USER || cache.postcrossing_user || '');
+  // --home accepts an alpha-2 or alpha-3 code (NL, NLD) or a country name (Netherlands).
+  const homeArg = readArg('--home', process.env.POSTCROSSING_HOME_COUNTRY || cache.home_country_code || '') || '';
+  const home = toCountryCode(homeArg) || countryCodeFromName(homeArg) || '';
+  if (homeArg && !home) console.warn(`[warn] Unknown home country "${homeArg}"; ignoring it.`);
+  if (user) cache.postcrossing_user = user;
+  if (home) cache.home_country_code = home;
+  if (!user) {
+    console.warn(`[warn] No Postcrossing user set; guessing direction from ${home ? `the home country ${home}` : 'nothing (all cards count as received)'}.`);
+  }
+  if (SAVE_HTML_DIR) mkdirSync(resolve(SAVE_HTML_DIR), { recursive: true });
+
+  const now = Date.now();
+  const parseWarnings = [];
   let fetched = 0;
   let skipped = 0;
+  let failed = 0;
 
-  for (const id of ids) {
-    if (cache.postcards[id]) {
+  for (const [index, id] of ids.entries()) {
+    if (!needsFetch(cache.postcards[id], now)) {
       console.log(`[skip] ${id} (already cached)`);
       skipped++;
       continue;
@@ -153,36 +290,78 @@ async function main() {
 
     console.log(`[fetch] ${id} ...`);
     try {
-      const res = await fetch(`https://www.postcrossing.com/postcards/${id}`, {
-        headers: { 'User-Agent': USER_AGENT }
-      });
+      const res = await fetchWithRetry(`https://www.postcrossing.com/postcards/${id}`);
 
       if (!res.ok) {
         console.error(`[error] ${id} — HTTP ${res.status}`);
-        continue;
+        failed++;
+      } else {
+        const html = await res.text();
+        if (SAVE_HTML_DIR) writeFileSync(resolve(SAVE_HTML_DIR, `${id}.html`), html);
+
+        const { card, warnings } = parsePostcard(html, id);
+        parseWarnings.push(...warnings);
+        const parsed = normalizeCard(
+          { ...card, direction: cache.postcards[id]?.direction, fetched_at: new Date().toISOString() },
+          { user, home }
+        );
+        cache.postcards[id] = parsed;
+        fetched++;
+
+        console.log(`  -> ${parsed.direction}: ${parsed.city_sent || '?'} → ${parsed.recipient_city || parsed.recipient_country || '?'}`);
       }
-
-      const html = await res.text();
-      const parsed = parsePostcard(html, id);
-      cache.postcards[id] = parsed;
-      fetched++;
-
-      console.log(`  -> ${parsed.country_name || '?'}, ${parsed.city_sent || '?'}`);
     } catch (err) {
       console.error(`[error] ${id} — ${err.message}`);
+      failed++;
     }
 
     // Polite delay between requests
-    if (ids.indexOf(id) < ids.length - 1) {
+    if (index < ids.length - 1) {
       await sleep(DELAY_MS);
     }
   }
 
+  for (const [id, card] of Object.entries(cache.postcards)) {
+    cache.postcards[id] = normalizeCard(card, { user, home });
+  }
+
   cache.generated_at = new Date().toISOString();
-  writeFileSync(OUT_FILE, JSON.stringify(cache, null, 2) + '\n');
+  // Settings first, cards last, whatever order they were added in.
+  const { postcards, ...settings } = cache;
+  writeFileSync(OUT_FILE, JSON.stringify({ ...settings, postcards }, null, 2) + '\n');
 
-  console.log(`\n[done] Fetched: ${fetched}, Skipped: ${skipped}, Total: ${Object.keys(cache.postcards).length}`);
+  console.log(`\n[done] Fetched: ${fetched}, Skipped: ${skipped}, Failed: ${failed}, Total: ${Object.keys(cache.postcards).length}`);
   console.log(`[done] Written to ${OUT_FILE}`);
+  if (parseWarnings.length) {
+    console.warn(`[warn] ${parseWarnings.length} parse warning(s):`);
+    for (const warning of parseWarnings) console.warn(`  - ${formatWarning(warning)}`);
+  }
+
+  await geocodeCities(Object.values(cache.postcards));
+}
+
+// The travel map draws a route from sender to recipient, so both ends need coordinates.
+// Without a recipient city the route ends in the recipient country.
+async function geocodeCities(cards) {
+  const geocoder = createGeocoder({
+    provider: NO_GEOCODE ? 'none' : undefined,
+    userAgent: USER_AGENT
+  });
+  for (const card of cards) {
+    const { origin, destination } = getCardPlaces(card);
+    if (origin.city) {
+      await geocoder.resolve(origin.countryCode, origin.city, card.id);
+    } else {
+      console.warn(`[warn] ${card.id} has no sender city`);
+    }
+    if (destination) await geocoder.resolve(destination.countryCode, destination.city, card.id);
+  }
+  const stats = geocoder.getStats();
+  console.log(`[geocode] ${stats.override + stats.cache} known, ${stats.provider} new via ${geocoder.provider}`);
+  if (geocoder.save()) console.log('[geocode] Updated geocode-cache.json');
+
+  const report = formatUnresolvedReport(geocoder.getUnresolved());
+  if (report) console.warn(`[warn] ${report}`);
 }
 
 main();
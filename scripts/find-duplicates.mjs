@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+/**
+ * Finds duplicate and near-duplicate postcards in src/data/gallery.json.
+ *
+ * Every postcard's grid-size image is reduced to a 64-bit difference hash
+ * (dHash); postcards whose hashes differ in at most `--threshold` bits are
+ * clustered together. Public ids that share a base name once Cloudinary's
+ * random suffix is dropped (`FR_Paris` / `FR_Paris_a81kq2`, or two suffixes)
+ * are listed too.
+ *
+ * Usage:
+ *   node scripts/find-duplicates.mjs [--threshold 6] [--offline]
+ *     [--gallery src/data/gallery.json] [--cache .cache/duplicates] [--out reports/duplicates]
+ *
+ * Images are read from the cache directory (`<public_id>.<ext>`, any common
+ * extension) or, for the local source, from `public/`. Missing images are
+ * downloaded into the cache unless `--offline` is set, so a second run works
+ * without network access. Writes `<out>.json` and `<out>.html`; nothing in
+ * src/data is changed.
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, extname, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, '..');
+const PUBLIC_DIR = resolve(ROOT, 'public');
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif', '.tif', '.tiff'];
+const DOWNLOAD_CONCURRENCY = 4;
+
+const argv = process.argv.slice(2);
+
+function readArg(name, fallback = null) {
+  const eq = argv.find(a => a.startsWith(`${name}=`));
+  if (eq) return eq.slice(name.length + 1);
+  const idx = argv.indexOf(name);
+  if (idx >= 0) {
+    const v = argv[idx + 1];
+    return v && !v.startsWith('-') ? v : fallback;
+  }
+  return fallback;
+}
+
+function hasFlag(name) {
+  return argv.includes(name);
+}
+
+const galleryPath = resolve(ROOT, readArg('--gallery', 'src/data/gallery.json'));
+const cacheDir = resolve(ROOT, readArg('--cache', '.cache/duplicates'));
+const outBase = resolve(ROOT, readArg('--out', 'reports/duplicates'));
+const offline = hasFlag('--offline');
+const threshold = (() => {
+  const n = Number(readArg('--threshold', '6'));
+  return Number.isInteger(n) && n >= 0 && n <= 64 ? n : 6;
+})();
+
+// ---------------------------------------------------------------------------
+// Gallery
+// ---------------------------------------------------------------------------
+
+function loadItems() {
+  if (!existsSync(galleryPath)) {
+    console.error(`[error] Gallery file not found: ${galleryPath}`);
+    process.exit(1);
+  }
+  const gallery = JSON.parse(readFileSync(galleryPath, 'utf-8'));
+  const root = gallery.root || '';
+  return Object.entries(gallery.folders || {}).flatMap(([folder, items]) =>
+    (Array.isArray(items) ? items : [])
+      .filter(item => typeof item?.public_id === 'string')
+      .map(item => ({
+        id: item.public_id,
+        album: root && folder.startsWith(`${root}/`) ? folder.slice(root.length + 1) : folder,
+        title: item.metadata?.name || item.title || item.public_id,
+        tags: Array.isArray(item.tags) ? item.tags : [],
+        status: item.metadata?.status || 'available',
+        source: item.grid || item.url || '',
+        thumb: item.thumb || item.grid || item.url || ''
+      }))
+  );
+}
+
+// Cloudinary appends a random 6-character suffix when an upload's name is taken.
+// It is always lowercase, which keeps CamelCase names like `DE_Berlin` intact.
+function baseName(publicId) {
+  const name = publicId.split('/').pop();
+  return name.replace(/_[a-z0-9]{6}$/, '');
+}
+
+// ---------------------------------------------------------------------------
+// Images
+// ---------------------------------------------------------------------------
+
+const isRemote = url => /^(?:https?:)?\/\//i.test(url);
+
+function cacheKey(publicId) {
+  return publicId.replace(/[^\w.-]+/g, '_');
+}
+
+function findCachedImage(item) {
+  for (const ext of IMAGE_EXTENSIONS) {
+    const candidate = resolve(cacheDir, `${cacheKey(item.id)}${ext}`);
+    if (existsSync(candidate)) return candidate;
+  }
+  // Local-folder sources store paths relative to public/.
+  if (item.source && !isRemote(item.source)) {
+    const local = resolve(PUBLIC_DIR, item.source.replace(/^\/+/, ''));
+    if (existsSync(local)) return local;
+  }
+  return null;
+}
+
+async function download(item) {
+  const url = item.source.startsWith('//') ? `https:${item.source}` : item.source;
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  const buffer = Buffer.from(await response.arrayBuffer());
+  const ext = extname(new URL(url).pathname).toLowerCase();
+  const file = resolve(cacheDir, `${cacheKey(item.id)}${IMAGE_EXTENSIONS.includes(ext) ? ext : '.jpg'}`);
+  writeFileSync(file, buffer);
+  return file;
+}
+
+/**
+ * 64-bit difference hash: shrink to 9×8 grey pixels and record, per row,
+ * whether each pixel is brighter than its right neighbour. Robust against
+ * resizing, recompression and small colour shifts.
+ */
+async function dHash(input) {
+  const pixels = await sharp(input).rotate().greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+  let hash = 0n;
+  for (let row = 0; row < 8; row += 1) {
+    for (let col = 0; col < 8; col += 1) {
+      hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+    }
+  }
+  return hash;
+}
+
+function hammingDistance(a, b) {
+  let diff = a ^ b;
+  let count = 0;
+  while (diff) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+}
+
+async function hashItems(items) {
+  mkdirSync(cacheDir, { recursive: true });
+  const hashed = [];
+  const missing = [];
+  let downloaded = 0;
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const item = items[next++];
+      let file = findCachedImage(item);
+      if (!file && !offline && isRemote(item.source)) {
+        try {
+          file = await download(item);
+          downloaded += 1;
+        } catch (err) {
+          console.warn(`[warn] ${item.id}: download failed (${err.message})`);
+        }
+      }
+      if (!file) {
+        missing.push(item.id);
+        continue;
+      }
+      try {
+        const buffer = readFileSync(file);
+        hashed.push({
+          ...item,
+          file,
+          sha256: createHash('sha256').update(buffer).digest('hex'),
+          hash: await dHash(buffer)
+        });
+      } catch (err) {
+        console.warn(`[warn] ${item.id}: cannot read ${relative(ROOT, file)} (${err.message})`);
+        missing.push(item.id);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+  // Workers finish out of order; keep the gallery order so reports diff cleanly between runs.
+  const position = new Map(items.map((item, index) => [item.id, index]));
+  hashed.sort((a, b) => position.get(a.id) - position.get(b.id));
+  return { hashed, missing, downloaded };
+}
+
+// ---------------------------------------------------------------------------
+// Clustering
+// ---------------------------------------------------------------------------
+
+function clusterByHash(hashed) {
+  const parent = hashed.map((_, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const distances = new Map();
+
+  for (let i = 0; i < hashed.length; i += 1) {
+    for (let j = i + 1; j < hashed.length; j += 1) {
+      const distance = hammingDistance(hashed[i].hash, hashed[j].hash);
+      if (distance > threshold) continue;
+      distances.set(`${i}:${j}`, distance);
+      parent[find(j)] = find(i);
+    }
+  }
+
+  const groups = new Map();
+  hashed.forEach((_, index) => {
+    const rootIndex = find(index);
+    if (!groups.has(rootIndex)) groups.set(rootIndex, []);
+    groups.get(rootIndex).push(index);
+  });
+
+  return Array.from(groups.values())
+    .filter(members => members.length > 1)
+    .map(members => {
+      let maxDistance = 0;
+      for (let a = 0; a < members.length; a += 1) {
+        for (let b = a + 1; b < members.length; b += 1) {
+          const key = `${Math.min(members[a], members[b])}:${Math.max(members[a], members[b])}`;
+          maxDistance = Math.max(maxDistance, distances.get(key) ?? hammingDistance(hashed[members[a]].hash, hashed[members[b]].hash));
+        }
+      }
+      const items = members.map(index => hashed[index]);
+      const identicalFiles = new Set(items.map(item => item.sha256)).size === 1;
+      return {
+        kind: maxDistance === 0 ? 'exact' : 'near',
+        maxDistance,
+        identicalFiles,
+        crossAlbum: new Set(items.map(item => item.album)).size > 1,
+        items
+      };
+    })
+    .sort((a, b) => a.maxDistance - b.maxDistance || b.items.length - a.items.length);
+}
+
+// An original (`FR_Paris`) and its re-uploads (`FR_Paris_a81kq2`) share a base name;
+// two unsuffixed ids with the same name in different folders are not a collision.
+function findSuffixCollisions(items) {
+  const byBase = new Map();
+  for (const item of items) {
+    const base = baseName(item.id);
+    if (!byBase.has(base)) byBase.set(base, []);
+    byBase.get(base).push(item);
+  }
+  return Array.from(byBase.entries())
+    .filter(([base, group]) =>
+      new Set(group.map(item => item.id)).size > 1 &&
+      group.some(item => item.id.split('/').pop() !== base)
+    )
+    .map(([base, group]) => ({ baseName: base, items: group }))
+    .sort((a, b) => a.baseName.localeCompare(b.baseName));
+}
+
+// ---------------------------------------------------------------------------
+// Report
+// ---------------------------------------------------------------------------
+
+const toEntry = item => ({
+  id: item.id,
+  album: item.album,
+  title: item.title,
+  status: item.status,
+  tags: item.tags,
+  thumb: item.thumb,
+  ...(item.hash !== undefined ? { dhash: item.hash.toString(16).padStart(16, '0') } : {})
+});
+
+function escapeHtml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderCard(item, htmlDir) {
+  // Prefer the cached copy so the report also works offline.
+  const src = item.file ? relative(htmlDir, item.file).split('\\').join('/') : item.thumb;
+  return `<figure>
+  <img src="${escapeHtml(src)}" alt="" loading="lazy" />
+  <figcaption><strong>${escapeHtml(item.title)}</strong><br /><code>${escapeHtml(item.id)}</code><br />${escapeHtml(item.album)} · ${escapeHtml(item.status)}${item.tags.length ? ` · ${escapeHtml(item.tags.join(', '))}` : ''}</figcaption>
+</figure>`;
+}
+
+function renderHtml(report, clusters, collisions, htmlDir) {
+  const clusterSections = clusters
+    .map(
+      (cluster, index) => `<section>
+  <h3>#${index + 1} · ${cluster.kind === 'exact' ? 'Exact' : `Near (≤ ${cluster.maxDistance} bits)`}${cluster.identicalFiles ? ' · identical files' : ''}${cluster.crossAlbum ? ' · across albums' : ''}</h3>
+  <div class="cards">${cluster.items.map(item => renderCard(item, htmlDir)).join('\n')}</div>
+</section>`
+    )
+    .join('\n');
+  const collisionSections = collisions
+    .map(
+      group => `<section>
+  <h3><code>${escapeHtml(group.baseName)}</code></h3>
+  <div class="cards">${group.items.map(item => renderCard(item, htmlDir)).join('\n')}</div>
+</section>`
+    )
+    .join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>Duplicate postcards</title>
+<style>
+  body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem; color: #2d2a26; background: #faf7f2; }
+  h2 { margin-top: 2.5rem; }
+  section { margin: 1.5rem 0; padding: 1rem; border: 1px solid #e4dccf; border-radius: 8px; background: #fff; }
+  h3 { margin: 0 0 0.75rem; font-size: 1rem; }
+  .cards { display: flex; flex-wrap: wrap; gap: 1rem; }
+  figure { margin: 0; width: 220px; }
+  img { width: 220px; height: 165px; object-fit: contain; background: #f1ece4; border-radius: 4px; }
+  figcaption { margin-top: 0.4rem; font-size: 12px; overflow-wrap: anywhere; }
+</style>
+</head>
+<body>
+<h1>Duplicate postcards</h1>
+<p>${report.summary.hashed} of ${report.summary.total} postcards hashed (threshold ${report.threshold} bits, generated ${escapeHtml(report.generatedAt)}).
+${report.summary.missing ? `${report.summary.missing} without an image.` : ''}</p>
+<h2>Image clusters (${clusters.length})</h2>
+${clusterSections || '<p>No duplicates found.</p>'}
+<h2>Same name, different Cloudinary suffix (${collisions.length})</h2>
+${collisionSections || '<p>None.</p>'}
+</body>
+</html>
+`;
+}
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+async function main() {
+  const items = loadItems();
+  console.log(`[info] Hashing ${items.length} postcards (cache: ${relative(ROOT, cacheDir)}${offline ? ', offline' : ''})`);
+
+  const { hashed, missing, downloaded } = await hashItems(items);
+  if (downloaded) console.log(`[info] Downloaded ${downloaded} image(s) into the cache`);
+  if (missing.length) console.warn(`[warn] ${missing.length} postcard(s) have no image to hash`);
+
+  const clusters = clusterByHash(hashed);
+  const hashedById = new Map(hashed.map(item => [item.id, item]));
+  const collisions = findSuffixCollisions(items.map(item => hashedById.get(item.id) || item));
+  const report = {
+    generatedAt: new Date().toISOString(),
+    threshold,
+    summary: {
+      total: items.length,
+      hashed: hashed.length,
+      missing: missing.length,
+      exactClusters: clusters.filter(cluster => cluster.kind === 'exact').length,
+      nearClusters: clusters.filter(cluster => cluster.kind === 'near').length,
+      suffixCollisions: collisions.length
+    },
+    clusters: clusters.map(cluster => ({ ...cluster, items: cluster.items.map(toEntry) })),
+    suffixCollisions: collisions.map(group => ({ ...group, items: group.items.map(toEntry) })),
+    missing
+  };
+
+  mkdirSync(dirname(outBase), { recursive: true });
+  writeFileSync(`${outBase}.json`, `${JSON.stringify(report, null, 2)}\n`);
+  writeFileSync(`${outBase}.html`, renderHtml(report, clusters, collisions, dirname(outBase)));
+
+  const { exactClusters, nearClusters, suffixCollisions } = report.summary;
+  console.log(
+    `[info] ${exactClusters} exact and ${nearClusters} near-duplicate cluster(s), ${suffixCollisions} suffix collision(s)`
+  );
+  console.log(`[info] Report written to ${relative(ROOT, outBase)}.json and .html`);
+}
+
+main().catch(err => {
+  console.error(`[error] ${err.message}`);
+  process.exit(1);
+});
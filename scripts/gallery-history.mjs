@@ -0,0 +1,116 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Collection changelog helpers for build-gallery.mjs.
+ *
+ * The history file keeps one entry per fetch that changed something, plus an
+ * `addedAt` index (public_id -> ISO date) for the "added on" labels. Items that
+ * were already present when the history started have no `addedAt`.
+ */
+
+export const HISTORY_PATH = path.resolve('src', 'data', 'gallery-history.json');
+
+function indexSnapshot(snapshot) {
+  const index = new Map();
+  for (const [folder, items] of Object.entries(snapshot?.folders || {})) {
+    for (const item of Array.isArray(items) ? items : []) {
+      if (!item?.public_id) continue;
+      index.set(item.public_id, {
+        folder,
+        title: item.metadata?.name || item.title || null,
+        tags: Array.isArray(item.tags) ? item.tags : []
+      });
+    }
+  }
+  return index;
+}
+
+export function diffSnapshots(previous, next) {
+  const before = indexSnapshot(previous);
+  const after = indexSnapshot(next);
+  const added = [];
+  const removed = [];
+  const moved = [];
+  const retagged = [];
+
+  for (const [id, entry] of after) {
+    const old = before.get(id);
+    if (!old) {
+      added.push({ id, folder: entry.folder, title: entry.title });
+      continue;
+    }
+    if (old.folder !== entry.folder) {
+      moved.push({ id, from: old.folder, to: entry.folder });
+    }
+    const oldTags = new Set(old.tags);
+    const newTags = new Set(entry.tags);
+    const tagsAdded = entry.tags.filter(tag => !oldTags.has(tag));
+    const tagsRemoved = old.tags.filter(tag => !newTags.has(tag));
+    if (tagsAdded.length || tagsRemoved.length) {
+      retagged.push({ id, added: tagsAdded, removed: tagsRemoved });
+    }
+  }
+
+  for (const [id, entry] of before) {
+    if (!after.has(id)) removed.push({ id, folder: entry.folder, title: entry.title });
+  }
+
+  return { added, removed, moved, retagged };
+}
+
+export function isEmptyDiff(diff) {
+  return !diff.added.length && !diff.removed.length && !diff.moved.length && !diff.retagged.length;
+}
+
+export function readHistory(filePath = HISTORY_PATH) {
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+      baseline: parsed.baseline ?? null,
+      entries: Array.isArray(parsed.entries) ? parsed.entries : [],
+      addedAt: parsed.addedAt && typeof parsed.addedAt === 'object' ? parsed.addedAt : {}
+    };
+  } catch {
+    return { baseline: null, entries: [], addedAt: {} };
+  }
+}
+
+/**
+ * Diffs `next` against `previous` and appends the result to the history file.
+ * Returns the diff, or null when there was no previous snapshot to compare with.
+ */
+export function recordSnapshot(previous, next, filePath = HISTORY_PATH) {
+  const history = readHistory(filePath);
+
+  if (!previous?.folders) {
+    // First snapshot: everything is baseline, nothing counts as "new".
+    history.baseline = history.baseline || next.generatedAt;
+    writeHistory(history, filePath);
+    return null;
+  }
+
+  const diff = diffSnapshots(previous, next);
+  if (!history.baseline) history.baseline = previous.generatedAt || next.generatedAt;
+  if (isEmptyDiff(diff)) {
+    writeHistory(history, filePath);
+    return diff;
+  }
+
+  history.entries.push({
+    date: next.generatedAt,
+    previousDate: previous.generatedAt || null,
+    ...diff
+  });
+  for (const { id } of diff.added) {
+    if (!history.addedAt[id]) history.addedAt[id] = next.generatedAt;
+  }
+  writeHistory(history, filePath);
+  return diff;
+}
+
+function writeHistory(history, filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(history, null, 2) + '\n', 'utf8');
+}
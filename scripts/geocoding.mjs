@@ -0,0 +1,166 @@
+/**
+ * Geocoder shared by sync-travel-points.mjs and fetch-travel-postcards.mjs.
+ *
+ * Offline first: a place is looked up in geocode-overrides.json, then in
+ * geocode-cache.json (see src/data/geocoding.js), and only then sent to the
+ * provider. Provider hits are added to the cache; misses are collected so
+ * the caller can print them with `formatUnresolvedReport`.
+ *
+ * Providers are `(city, countryCode) => Promise<{ lat, lng } | null>`;
+ * pick one with `--geocoder <name>` or the GEOCODER env var.
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { resolve, dirname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createPlaceLookup, toPlaceKey } from '../src/data/geocoding.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, '..');
+
+export const DEFAULT_CACHE_FILE = resolve(ROOT, 'src/data/geocode-cache.json');
+export const DEFAULT_OVERRIDES_FILE = resolve(ROOT, 'src/data/geocode-overrides.json');
+
+// Nominatim's usage policy allows one request per second.
+const NOMINATIM_DELAY_MS = 1100;
+
+function sleep(ms) {
+  return new Promise(r => setTimeout(r, ms));
+}
+
+function readJson(filePath, fallback) {
+  if (!existsSync(filePath)) return fallback;
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    console.warn(`[warn] Cannot read ${filePath}: ${err.message}`);
+    return fallback;
+  }
+}
+
+function createNominatimProvider({ userAgent }) {
+  let lastRequest = 0;
+  return async function nominatim(city, countryCode) {
+    const wait = lastRequest + NOMINATIM_DELAY_MS - Date.now();
+    if (wait > 0) await sleep(wait);
+    lastRequest = Date.now();
+
+    const url = new URL('https://nominatim.openstreetmap.org/search');
+    url.searchParams.set('format', 'jsonv2');
+    url.searchParams.set('limit', '1');
+    url.searchParams.set('addressdetails', '0');
+    url.searchParams.set('countrycodes', countryCode.toLowerCase());
+    url.searchParams.set('q', city);
+
+    const res = await fetch(url, {
+      headers: { 'User-Agent': userAgent, Accept: 'application/json' }
+    });
+    if (!res.ok) return null;
+    const json = await res.json();
+    const first = Array.isArray(json) ? json[0] : null;
+    if (!first) return null;
+
+    const lat = Number(first.lat);
+    const lng = Number(first.lon);
+    return Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+  };
+}
+
+export const PROVIDERS = {
+  nominatim: createNominatimProvider,
+  // Cache and overrides only; useful in CI and for offline runs.
+  none: () => async () => null
+};
+
+/**
+ * @param {object} [options]
+ * @param {string} [options.provider]   key of PROVIDERS (default GEOCODER env, then `nominatim`)
+ * @param {string} [options.userAgent]  sent to Nominatim, which requires one
+ * @param {string} [options.cacheFile]
+ * @param {string} [options.overridesFile]
+ */
+export function createGeocoder({
+  provider = process.env.GEOCODER || 'nominatim',
+  userAgent = 'cardgallery-geocoder/1.0',
+  cacheFile = DEFAULT_CACHE_FILE,
+  overridesFile = DEFAULT_OVERRIDES_FILE
+} = {}) {
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown geocoder "${provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  const cache = readJson(cacheFile, {});
+  const overrides = readJson(overridesFile, {});
+  const places = createPlaceLookup({ cache, overrides });
+  const query = PROVIDERS[provider]({ userAgent });
+
+  const unresolved = new Map();
+  const stats = { override: 0, cache: 0, provider: 0, unresolved: 0 };
+  let dirty = false;
+
+  return {
+    provider,
+
+    /**
+     * Coordinates for a place, or `null`. `usedBy` (e.g. a postcard id) only
+     * feeds the unresolved report.
+     */
+    async resolve(countryCode, city, usedBy = null) {
+      const key = toPlaceKey(countryCode, city);
+      const known = places.lookup(countryCode, city);
+      if (known) {
+        stats[known.source] += 1;
+        return { lat: known.lat, lng: known.lng };
+      }
+
+      if (!unresolved.has(key)) {
+        let hit = null;
+        try {
+          hit = await query(city, countryCode);
+        } catch (err) {
+          console.warn(`[warn] Geocoding ${key} failed: ${err.message}`);
+        }
+        if (hit) {
+          cache[key] = { lat: hit.lat, lng: hit.lng, city, countryCode: countryCode.toUpperCase() };
+          dirty = true;
+          stats.provider += 1;
+          return hit;
+        }
+        unresolved.set(key, { key, countryCode: countryCode.toUpperCase(), city, usedBy: [] });
+      }
+      stats.unresolved += 1;
+      if (usedBy) unresolved.get(key).usedBy.push(usedBy);
+      return null;
+    },
+
+    getUnresolved() {
+      return Array.from(unresolved.values()).sort((a, b) => a.key.localeCompare(b.key));
+    },
+
+    getStats() {
+      return { ...stats };
+    },
+
+    /** Writes the cache back if the provider added anything; returns whether it did. */
+    save() {
+      if (!dirty) return false;
+      mkdirSync(dirname(cacheFile), { recursive: true });
+      writeFileSync(cacheFile, JSON.stringify(cache, null, 2) + '\n', 'utf-8');
+      dirty = false;
+      return true;
+    }
+  };
+}
+
+/** Human-readable list of places without coordinates, with a hint on how to fix them. */
+export function formatUnresolvedReport(unresolved, overridesFile = DEFAULT_OVERRIDES_FILE) {
+  if (unresolved.length === 0) return '';
+  const lines = unresolved.map(place => {
+    const refs = place.usedBy.length ? ` (${place.usedBy.slice(0, 5).join(', ')}${place.usedBy.length > 5 ? ', …' : ''})` : '';
+    return `  - "${place.key}"${refs}`;
+  });
+  return [
+    `${unresolved.length} place(s) could not be geocoded:`,
+    ...lines,
+    `Add them to ${overridesFile} as { "lat": …, "lng": … } under the quoted key.`
+  ].join('\n');
+}
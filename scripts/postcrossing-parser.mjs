@@ -0,0 +1,139 @@
+/**
+ * Parser for postcard pages on postcrossing.com, shared by
+ * fetch-travel-postcards.mjs and its fixture check (`--check-fixtures`).
+ *
+ * The page uses schema.org microdata:
+ *   - .sender / .receiver blocks with a[itemprop="addressCountry"] for country
+ *     (title attr = city, text = country name, href = /country/XX)
+ *   - a[itemprop="url"] inside each block for username
+ *   - time[itemprop="startTime"] / time[itemprop="endTime"] for dates
+ *     (`datetime` attribute when present, display text otherwise)
+ *   - "N km" in the travel summary for the distance
+ *   - img.postcard-image for the card image
+ */
+
+import { parse as parseHTML } from 'node-html-parser';
+import { countryCodeFromName, toCountryCode } from '../src/data/countries.js';
+import { toIsoDate } from '../src/data/travel-stats.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DISTANCE_PATTERN = /(\d[\d,.]*)\s*km\b/i;
+// How far up from the <time> elements the travel summary may sit.
+const SUMMARY_DEPTH = 3;
+
+function readDate(el) {
+  if (!el) return null;
+  return toIsoDate(el.getAttribute('datetime')) || toIsoDate(el.text);
+}
+
+function parseDistance(text) {
+  const match = String(text || '').match(DISTANCE_PATTERN);
+  if (!match) return null;
+  const value = parseInt(match[1].replace(/[,.]/g, ''), 10);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Parses one postcard page. Returns `{ card, warnings }`; each warning is
+ * `{ id, field, message }` for a value that was missing or had to be guessed,
+ * so a markup change shows up as a list of fields rather than silent blanks.
+ */
+export function parsePostcard(html, id) {
+  const root = parseHTML(html);
+  const warnings = [];
+  const warn = (field, message) => warnings.push({ id, field, message });
+
+  const country_code = id.split('-')[0];
+  if (!toCountryCode(country_code)) warn('country_code', `card ID prefix "${country_code}" is not an ISO country code`);
+
+  // --- Image ---
+  const imgEl = root.querySelector('img.postcard-image')
+    || root.querySelector('img[itemprop="image"]')
+    || root.querySelector('img[alt*="postcard image"]');
+  let image_url = imgEl?.getAttribute('src') || '';
+  if (image_url.startsWith('//')) image_url = 'https:' + image_url;
+  if (!image_url) warn('image_url', 'no postcard image on the page');
+
+  // --- Sender block ---
+  const senderBlock = root.querySelector('.sender') || root.querySelector('.details-box');
+  const senderCountryEl = senderBlock?.querySelector('a[itemprop="addressCountry"]')
+    || root.querySelectorAll('a[itemprop="addressCountry"]')[0];
+  const country_name = senderCountryEl?.text?.trim() || '';
+  const city_sent = senderCountryEl?.getAttribute('title')?.trim() || '';
+  if (!country_name) warn('country_name', 'sender country not found');
+  if (!city_sent) warn('city_sent', 'sender city not found');
+
+  const senderUserEl = senderBlock?.querySelector('a[itemprop="url"]')
+    || root.querySelectorAll('a[itemprop="url"]')[0];
+  const sender_username = senderUserEl?.text?.trim() || '';
+  if (!sender_username) warn('sender_username', 'sender username not found');
+
+  // --- Recipient block ---
+  const receiverBlock = root.querySelector('.receiver');
+  const recipientCountryEl = receiverBlock?.querySelector('a[itemprop="addressCountry"]')
+    || root.querySelectorAll('a[itemprop="addressCountry"]')[1];
+  const recipient_country = recipientCountryEl?.text?.trim() || '';
+  const recipient_city = recipientCountryEl?.getAttribute('title')?.trim() || '';
+  // Country links point at /country/XX; fall back to the country name.
+  const recipientHrefCode = (recipientCountryEl?.getAttribute('href') || '').match(/\/country\/([A-Z]{2})\b/i)?.[1];
+  const recipient_country_code = recipientHrefCode?.toUpperCase() || countryCodeFromName(recipient_country) || '';
+  if (!recipient_country) warn('recipient_country', 'recipient country not found');
+  else if (!recipient_country_code) warn('recipient_country_code', `no ISO code for "${recipient_country}"`);
+
+  const recipientUserEl = receiverBlock?.querySelector('a[itemprop="url"]')
+    || root.querySelectorAll('a[itemprop="url"]')[1];
+  const recipient_username = recipientUserEl?.text?.trim() || '';
+
+  // --- Dates via <time> elements ---
+  const startTimeEl = root.querySelector('time[itemprop="startTime"]');
+  const endTimeEl = root.querySelector('time[itemprop="endTime"]');
+  const date_sent = readDate(startTimeEl);
+  const received_date = readDate(endTimeEl);
+  if (!date_sent) {
+    warn('date_sent', startTimeEl ? `cannot read "${startTimeEl.text.trim()}"` : 'no sent date');
+  }
+  if (endTimeEl && !received_date) warn('received_date', `cannot read "${endTimeEl.text.trim()}"`);
+
+  // --- Days in transit: from the two dates, so a stray "N days" elsewhere on the page cannot leak in ---
+  let days_in_transit = null;
+  if (date_sent && received_date) {
+    days_in_transit = Math.round((Date.parse(received_date) - Date.parse(date_sent)) / DAY_MS);
+    if (days_in_transit < 0) {
+      warn('days_in_transit', `received ${received_date} before sent ${date_sent}`);
+      days_in_transit = null;
+    }
+  }
+
+  // --- Distance: the travel summary around the dates, whole page as a last resort ---
+  let distance_km = null;
+  let summaryEl = endTimeEl || startTimeEl;
+  for (let depth = 0; summaryEl && depth < SUMMARY_DEPTH && distance_km === null; depth++) {
+    summaryEl = summaryEl.parentNode;
+    distance_km = parseDistance(summaryEl?.text);
+  }
+  if (distance_km === null) {
+    distance_km = parseDistance(root.text);
+    if (distance_km !== null) warn('distance_km', 'read from the page text, not the travel summary');
+    else warn('distance_km', 'no distance on the page');
+  }
+
+  return {
+    card: {
+      id,
+      country_code,
+      country_name,
+      city_sent,
+      date_sent,
+      days_in_transit,
+      distance_km,
+      sender_username,
+      recipient_username,
+      recipient_city,
+      recipient_country,
+      recipient_country_code,
+      received_date,
+      image_url
+    },
+    warnings
+  };
+}
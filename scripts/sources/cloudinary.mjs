@@ -0,0 +1,80 @@
+import { v2 as cloudinary } from 'cloudinary';
+import fs from 'fs';
+import path from 'path';
+import { createImagePresetBuilder } from '../../src/data/image-presets.js';
+
+/**
+ * Builds the preview/grid/thumb URLs for a Cloudinary public_id.
+ * Shared by the live Cloudinary source and recorded fixtures.
+ */
+export function createCloudinaryUrlBuilder(cloudName) {
+  const presets = createImagePresetBuilder(cloudName);
+
+  return resource => ({
+    url: presets.url(resource.public_id, 'preview'),
+    grid: presets.url(resource.public_id, 'grid'),
+    thumb: presets.url(resource.public_id, 'thumb')
+  });
+}
+
+/**
+ * Live source: Cloudinary Search API.
+ * Pass `record` to save the raw resources as a fixture for offline builds.
+ */
+export function createCloudinarySource({ root, record = null, env = process.env }) {
+  const { CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET } = env;
+
+  if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
+    throw new Error(
+      'Missing Cloudinary credentials. Set CLOUDINARY_CLOUD_NAME, CLOUDINARY_API_KEY, CLOUDINARY_API_SECRET, or use --source local / --source fixture.'
+    );
+  }
+
+  cloudinary.config({
+    cloud_name: CLOUDINARY_CLOUD_NAME,
+    api_key: CLOUDINARY_API_KEY,
+    api_secret: CLOUDINARY_API_SECRET,
+    secure: true
+  });
+
+  const expression = `(asset_folder:"${root}/*" OR folder:"${root}/*") AND resource_type:image AND -tags=hidden`;
+
+  async function fetchResources() {
+    let resources = [];
+    let next_cursor = undefined;
+    do {
+      const res = await cloudinary.search
+        .expression(expression)
+        .max_results(500)
+        .with_field('context')
+        .with_field('metadata')
+        .with_field('tags')
+        .next_cursor(next_cursor)
+        .execute();
+      resources = resources.concat(res.resources);
+      next_cursor = res.next_cursor;
+    } while (next_cursor);
+
+    if (record) {
+      const dir = path.dirname(record);
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+      const fixture = {
+        recordedAt: new Date().toISOString(),
+        cloudName: CLOUDINARY_CLOUD_NAME,
+        root,
+        resources
+      };
+      fs.writeFileSync(record, JSON.stringify(fixture, null, 2) + '\n', 'utf8');
+      console.log(`Recorded ${resources.length} resources to ${record}`);
+    }
+
+    return resources;
+  }
+
+  return {
+    name: 'cloudinary',
+    cloudName: CLOUDINARY_CLOUD_NAME,
+    fetchResources,
+    buildUrls: createCloudinaryUrlBuilder(CLOUDINARY_CLOUD_NAME)
+  };
+}
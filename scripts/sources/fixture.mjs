@@ -0,0 +1,39 @@
+import fs from 'fs';
+import { createCloudinaryUrlBuilder } from './cloudinary.mjs';
+
+/**
+ * Offline source: replays Cloudinary search resources recorded with
+ * `npm run fetch -- --record <file>`. A bare array of resources is accepted too.
+ */
+export function createFixtureSource({ file }) {
+  if (!file || !fs.existsSync(file)) {
+    throw new Error(`Fixture not found: ${file}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Fixture is invalid JSON: ${file} (${err.message})`);
+  }
+
+  const resources = Array.isArray(raw) ? raw : Array.isArray(raw?.resources) ? raw.resources : null;
+  if (!resources) {
+    throw new Error(`Fixture has no "resources" array: ${file}`);
+  }
+
+  const cloudName = typeof raw?.cloudName === 'string' && raw.cloudName ? raw.cloudName : null;
+  const cloudinaryUrls = cloudName ? createCloudinaryUrlBuilder(cloudName) : null;
+
+  return {
+    name: 'fixture',
+    cloudName,
+    fetchResources: async () => resources,
+    // Without a cloud name, fall back to whatever URL the fixture recorded.
+    buildUrls: resource => {
+      if (cloudinaryUrls) return cloudinaryUrls(resource);
+      const url = resource.secure_url || resource.url || '';
+      return { url, grid: url, thumb: url };
+    }
+  };
+}
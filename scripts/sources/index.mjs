@@ -0,0 +1,29 @@
+import path from 'path';
+import { createCloudinarySource } from './cloudinary.mjs';
+import { createFixtureSource } from './fixture.mjs';
+import { createLocalSource } from './local.mjs';
+
+export const SOURCE_NAMES = ['cloudinary', 'local', 'fixture'];
+
+export const DEFAULT_LOCAL_DIR = path.join('public', 'scans');
+export const DEFAULT_FIXTURE = path.join('mock-data', 'cloudinary-resources.sample.json');
+
+/**
+ * Resolves an image source adapter. Every adapter exposes:
+ *   - name: string
+ *   - cloudName: string | null (null when URLs are not Cloudinary-hosted)
+ *   - fetchResources(): Promise<resource[]> in Cloudinary search-result shape
+ *   - buildUrls(resource): { url, grid, thumb }
+ */
+export function createSource(name, options = {}) {
+  switch (name) {
+    case 'cloudinary':
+      return createCloudinarySource(options);
+    case 'local':
+      return createLocalSource({ ...options, dir: options.dir || DEFAULT_LOCAL_DIR });
+    case 'fixture':
+      return createFixtureSource({ ...options, file: options.file || DEFAULT_FIXTURE });
+    default:
+      throw new Error(`Unknown gallery source "${name}". Expected one of: ${SOURCE_NAMES.join(', ')}`);
+  }
+}
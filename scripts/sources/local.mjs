@@ -0,0 +1,145 @@
+import exifr from 'exifr';
+import { imageSize } from 'image-size';
+import fs from 'fs';
+import path from 'path';
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif']);
+const METADATA_KEYS = ['name', 'desc', 'author', 'placeId', 'status'];
+
+function walk(dir) {
+  const entries = fs.readdirSync(dir, { withFileTypes: true });
+  return entries.flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return walk(fullPath);
+    return IMAGE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+  });
+}
+
+function toPosix(value) {
+  return value.split(path.sep).join('/');
+}
+
+function cleanString(value) {
+  if (Array.isArray(value)) value = value.join(', ');
+  return typeof value === 'string' && value.trim().length > 0 ? value.trim() : null;
+}
+
+function toTagList(value) {
+  if (Array.isArray(value)) return value.map(cleanString).filter(Boolean);
+  const single = cleanString(value);
+  return single ? single.split(/[;,]/).map(tag => tag.trim()).filter(Boolean) : [];
+}
+
+function readSidecar(imagePath) {
+  const sidecarPath = imagePath.replace(/\.[^.]+$/, '.json');
+  if (!fs.existsSync(sidecarPath)) return {};
+  try {
+    const parsed = JSON.parse(fs.readFileSync(sidecarPath, 'utf8'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.warn(`Skipping invalid sidecar ${sidecarPath}: ${err.message}`);
+    return {};
+  }
+}
+
+async function readExif(imagePath) {
+  try {
+    const exif = await exifr.parse(imagePath, { tiff: true, exif: true, iptc: true, xmp: true });
+    if (!exif) return {};
+    return {
+      name: cleanString(exif.XPTitle) || cleanString(exif.ObjectName) || cleanString(exif.title),
+      desc: cleanString(exif.ImageDescription) || cleanString(exif.Caption) || cleanString(exif.description),
+      author: cleanString(exif.Artist) || cleanString(exif.XPAuthor) || cleanString(exif.creator),
+      tags: toTagList(exif.XPKeywords).concat(toTagList(exif.Keywords), toTagList(exif.subject)),
+      created_at: exif.DateTimeOriginal instanceof Date ? exif.DateTimeOriginal.toISOString() : null
+    };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Offline source: a directory of scans inside `public/`, one sub-folder per album.
+ *
+ * Metadata comes from EXIF/IPTC/XMP and can be overridden by a sidecar
+ * `<scan>.json` next to the image:
+ *   { "name": "...", "desc": "...", "author": "...", "placeId": "...", "status": "reserved", "tags": ["..."] }
+ */
+export function createLocalSource({ dir, root, publicDir = path.resolve('public') }) {
+  const scanDir = path.resolve(dir);
+  const relativeToPublic = path.relative(publicDir, scanDir);
+
+  if (!fs.existsSync(scanDir)) {
+    throw new Error(`Local scan directory not found: ${scanDir}`);
+  }
+  if (relativeToPublic.startsWith('..') || path.isAbsolute(relativeToPublic)) {
+    throw new Error(`Local scan directory must live inside ${publicDir} so Astro can serve it: ${scanDir}`);
+  }
+
+  async function toResource(imagePath, seenIds) {
+    const buffer = fs.readFileSync(imagePath);
+    const stats = fs.statSync(imagePath);
+    const ext = path.extname(imagePath);
+    const publicId = path.basename(imagePath, ext);
+    const relativeDir = toPosix(path.relative(scanDir, path.dirname(imagePath)));
+
+    if (seenIds.has(publicId)) {
+      console.warn(`Duplicate public_id "${publicId}" (${seenIds.get(publicId)} and ${imagePath}); rename one of them.`);
+    }
+    seenIds.set(publicId, imagePath);
+
+    let dimensions = {};
+    try {
+      dimensions = imageSize(buffer);
+    } catch (err) {
+      console.warn(`Cannot read dimensions of ${imagePath}: ${err.message}`);
+    }
+
+    const exif = await readExif(imagePath);
+    const sidecar = readSidecar(imagePath);
+    const sidecarMeta = sidecar.metadata && typeof sidecar.metadata === 'object' ? sidecar.metadata : {};
+
+    const metadata = { ...sidecarMeta };
+    for (const key of METADATA_KEYS) {
+      metadata[key] = cleanString(sidecar[key]) || cleanString(sidecarMeta[key]) || exif[key] || null;
+    }
+
+    const tags = Array.isArray(sidecar.tags) ? toTagList(sidecar.tags) : exif.tags || [];
+
+    return {
+      public_id: publicId,
+      format: ext.slice(1).toLowerCase().replace('jpeg', 'jpg'),
+      width: dimensions.width ?? null,
+      height: dimensions.height ?? null,
+      bytes: stats.size,
+      asset_folder: relativeDir ? `${root}/${relativeDir}` : root,
+      tags: Array.from(new Set(tags)),
+      context: { custom: {} },
+      metadata,
+      created_at: cleanString(sidecar.created_at) || exif.created_at || stats.mtime.toISOString(),
+      secure_url: toPosix(path.relative(publicDir, imagePath))
+    };
+  }
+
+  async function fetchResources() {
+    const seenIds = new Map();
+    const files = walk(scanDir).sort();
+    const resources = [];
+    for (const file of files) {
+      resources.push(await toResource(file, seenIds));
+    }
+    return resources;
+  }
+
+  return {
+    name: 'local',
+    cloudName: null,
+    fetchResources,
+    // Paths are relative to `public/`; gallery.js prefixes them with the site base.
+    buildUrls: resource => ({
+      url: resource.secure_url,
+      grid: resource.secure_url,
+      thumb: resource.secure_url
+    })
+  };
+}
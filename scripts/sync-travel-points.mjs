@@ -1,6 +1,9 @@
 import { v2 as cloudinary } from 'cloudinary';
 import fs from 'fs';
 import path from 'path';
+import { createGeocoder, formatUnresolvedReport } from './geocoding.mjs';
+import { countryName as getCountryName, toCountryCode } from '../src/data/countries.js';
+import { parseVisit, visitFromDescription } from '../src/data/visits.js';
 
 const {
   CLOUDINARY_CLOUD_NAME,
@@ -30,6 +33,7 @@ const folderArg = readArg('--folder', argv.find(a => !a.startsWith('-')) || 'Cou
 const write = hasFlag('--write');
 const dryRun = hasFlag('--dry-run') || !write;
 const noGeocode = hasFlag('--no-geocode');
+const geocoderName = noGeocode ? 'none' : readArg('--geocoder', process.env.GEOCODER || 'nominatim');
 const prune = hasFlag('--prune') || write;
 const limit = (() => {
   const raw = readArg('--limit', null);
@@ -40,6 +44,7 @@ const limit = (() => {
 
 const pointsPath = readArg('--points', path.resolve('src', 'data', 'travel-points.json'));
 const cachePath = readArg('--cache', path.resolve('src', 'data', 'geocode-cache.json'));
+const overridesPath = readArg('--overrides', path.resolve('src', 'data', 'geocode-overrides.json'));
 
 if (!CLOUDINARY_CLOUD_NAME || !CLOUDINARY_API_KEY || !CLOUDINARY_API_SECRET) {
   console.error(
@@ -136,13 +141,11 @@ function parsePlaceFromPublicId(publicId) {
   const parts = base.split('_').filter(Boolean);
   if (parts.length < 2) return null;
 
-  const rawCountryCode = parts[0].trim().toUpperCase();
-  const countryAliases = {
-    KO: 'KR',
-    UK: 'GB'
-  };
-  const countryCode = countryAliases[rawCountryCode] || rawCountryCode;
-  if (!/^[A-Z]{2}$/.test(countryCode)) return null;
+  // Two-letter prefixes only, so a file name like IMG_1234 is not read as an alpha-3 code.
+  // Older folders use UK and KO, which map to GB and KR.
+  const rawCountryCode = parts[0].trim();
+  const countryCode = rawCountryCode.length === 2 ? toCountryCode(rawCountryCode) : null;
+  if (!countryCode) return null;
 
   // Common pattern: CC_City_hash OR CC_City_Subcity_hash
   // Treat the last segment as a random suffix.
@@ -161,17 +164,6 @@ function parsePlaceFromPublicId(publicId) {
   return { countryCode, city };
 }
 
-function getCountryName(countryCode) {
-  try {
-    // Node 20 supports Intl.DisplayNames.
-    const dn = new Intl.DisplayNames(['en'], { type: 'region' });
-    const name = dn.of(countryCode.toUpperCase());
-    return typeof name === 'string' && name.trim() ? name.trim() : null;
-  } catch {
-    return null;
-  }
-}
-
 function readJson(filePath, fallback) {
   try {
     return JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -186,46 +178,19 @@ function writeJson(filePath, value) {
   fs.writeFileSync(filePath, JSON.stringify(value, null, 2) + '\n', 'utf8');
 }
 
-function normalizeKey(countryCode, city) {
-  return `${countryCode.toUpperCase()}:${slugify(city).replace(/-/g, ' ')}`;
-}
-
-async function sleep(ms) {
-  await new Promise(resolve => setTimeout(resolve, ms));
-}
-
-async function geocode(city, countryCode) {
-  const cc = countryCode.toLowerCase();
-  const url = new URL('https://nominatim.openstreetmap.org/search');
-  url.searchParams.set('format', 'jsonv2');
-  url.searchParams.set('limit', '1');
-  url.searchParams.set('addressdetails', '0');
-  url.searchParams.set('countrycodes', cc);
-  url.searchParams.set('q', city);
-
-  const res = await fetch(url, {
-    headers: {
-      'User-Agent': 'cardgallery-sync-travel-points/1.0',
-      Accept: 'application/json'
-    }
-  });
-
-  if (!res.ok) return null;
-  const json = await res.json();
-  const first = Array.isArray(json) ? json[0] : null;
-  if (!first) return null;
-
-  const lat = Number(first.lat);
-  const lng = Number(first.lon);
-  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
-
-  return { lat, lng };
-}
-
 function toTravelPointId(countryCode, city) {
   return `${countryCode.toLowerCase()}-${slugify(city)}`;
 }
 
+// Cloudinary metadata `visited`: `2014`, `2014-05`, or a range such as `2016-07/2018`.
+function readVisitMetadata(value) {
+  const text = typeof value === 'string' ? value.trim() : '';
+  if (!text) return null;
+  const [from, to] = text.split('/').map(part => part.trim());
+  const visited = to ? { from, to } : from;
+  return parseVisit(visited) ? visited : undefined;
+}
+
 function safeNumber(value) {
   const n = Number(value);
   return Number.isFinite(n) ? n : null;
@@ -239,7 +204,12 @@ async function main() {
   const picked = limit != null ? resources.slice(0, limit) : resources;
 
   const points = readJson(pointsPath, []);
-  const cache = readJson(cachePath, {});
+  const geocoder = createGeocoder({
+    provider: geocoderName,
+    userAgent: 'cardgallery-sync-travel-points/1.0',
+    cacheFile: cachePath,
+    overridesFile: overridesPath
+  });
 
   const folderKey = String(folderArg || '').trim().toLowerCase();
 
@@ -266,7 +236,6 @@ async function main() {
 
   let added = 0;
   let updated = 0;
-  let geocoded = 0;
   let skipped = 0;
   const warnings = [];
 
@@ -282,6 +251,11 @@ async function main() {
     const meta = r?.metadata && typeof r.metadata === 'object' ? r.metadata : {};
     const placeIdFromMeta = typeof meta.placeId === 'string' ? meta.placeId.trim() : '';
     const descFromMeta = typeof meta.desc === 'string' ? meta.desc.trim() : '';
+    // "First visited: 2014" descriptions become a `visited` date the map timeline can filter on.
+    const metaVisit = visitFromDescription(descFromMeta);
+    const visitFromMeta = readVisitMetadata(meta.visited);
+    if (visitFromMeta === undefined) warnings.push(`Ignoring visited "${meta.visited}" (expected 2014, 2014-05 or 2016-07/2018): ${publicId}`);
+    const visited = visitFromMeta || metaVisit.visited;
 
     const parsed = parsePlaceFromPublicId(publicId);
     if (!parsed) {
@@ -314,25 +288,11 @@ async function main() {
     let lat = safeNumber(existing?.lat);
     let lng = safeNumber(existing?.lng);
 
-    if (!(Number.isFinite(lat) && Number.isFinite(lng)) && !noGeocode) {
-      const key = normalizeKey(countryCode, city);
-      const cached = cache[key];
-
-      if (cached && Number.isFinite(Number(cached.lat)) && Number.isFinite(Number(cached.lng))) {
-        lat = Number(cached.lat);
-        lng = Number(cached.lng);
-      } else {
-        const hit = await geocode(city, countryCode);
-        if (hit) {
-          lat = hit.lat;
-          lng = hit.lng;
-          cache[key] = { lat, lng, city, countryCode };
-          geocoded += 1;
-          // Be nice to Nominatim.
-          await sleep(1100);
-        } else {
-          warnings.push(`Geocode failed: ${countryCode} ${city} (${publicId})`);
-        }
+    if (!(Number.isFinite(lat) && Number.isFinite(lng))) {
+      const hit = await geocoder.resolve(countryCode, city, publicId);
+      if (hit) {
+        lat = hit.lat;
+        lng = hit.lng;
       }
     }
 
@@ -346,6 +306,7 @@ async function main() {
       const existingFolderKey =
         typeof existing.sourceFolder === 'string' ? existing.sourceFolder.trim().toLowerCase() : '';
       const isAutoFromSameFolder = existingFolderKey && existingFolderKey === folderKey;
+      const existingVisit = visitFromDescription(existing.description);
 
       const next = {
         ...existing,
@@ -358,7 +319,8 @@ async function main() {
         lat,
         lng,
         postcardId: isAutoFromSameFolder ? publicId : existing.postcardId || publicId,
-        description: existing.description ?? (descFromMeta || null),
+        description: existing.description != null ? existingVisit.description : metaVisit.description,
+        visited: existing.visited ?? existingVisit.visited ?? visited ?? undefined,
         sourceFolder: folderArg
       };
       byId.set(id, next);
@@ -375,7 +337,8 @@ async function main() {
         lat,
         lng,
         postcardId: publicId,
-        description: descFromMeta || null,
+        description: metaVisit.description,
+        visited: visited ?? undefined,
         sourceFolder: folderArg
       };
       byId.set(id, next);
@@ -436,13 +399,15 @@ async function main() {
   console.log(`Expanded paths: ${folderPaths.join(', ')}`);
   console.log(`Processed images: ${picked.length}${limit != null ? ` (limit=${limit})` : ''}`);
   console.log(`Travel points: ${out.length} (added ${added}, updated ${updated}, skipped ${skipped})`);
-  if (!noGeocode) console.log(`Geocoded (new): ${geocoded}`);
+  console.log(`Geocoded (new, via ${geocoder.provider}): ${geocoder.getStats().provider}`);
   if (prune) console.log('Prune enabled: stale auto-points removed if their postcardId is no longer in the folder.');
   if (warnings.length) {
     console.log('Warnings:');
     for (const w of warnings.slice(0, 20)) console.log(`- ${w}`);
     if (warnings.length > 20) console.log(`(and ${warnings.length - 20} more)`);
   }
+  const unresolvedReport = formatUnresolvedReport(geocoder.getUnresolved(), overridesPath);
+  if (unresolvedReport) console.log(unresolvedReport);
 
   if (dryRun) {
     console.log('Dry run (no files written). Use --write to update JSON files.');
@@ -450,10 +415,8 @@ async function main() {
   }
 
   writeJson(pointsPath, out);
-  writeJson(cachePath, cache);
-
   console.log(`Wrote: ${pointsPath}`);
-  console.log(`Wrote: ${cachePath}`);
+  if (geocoder.save()) console.log(`Wrote: ${cachePath}`);
 }
 
 main().catch(err => {
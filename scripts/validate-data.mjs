@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+/**
+ * Validates the JSON files in src/data against src/data/schemas and runs
+ * cross-file checks (e.g. travel points pointing at postcards that do not exist).
+ *
+ * Usage:
+ *   node scripts/validate-data.mjs
+ *
+ * Exits with code 1 when any error is found; warnings are printed only.
+ */
+
+import Ajv from 'ajv';
+import { readFileSync, existsSync } from 'node:fs';
+import { resolve, dirname, relative } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createPlaceLookup, getCardPlaces } from '../src/data/geocoding.js';
+import { slugify } from '../src/data/site-urls.js';
+import { createTagResolver, toTagKey } from '../src/data/tag-keys.js';
+import { parseVisit } from '../src/data/visits.js';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const ROOT = resolve(__dirname, '..');
+const DATA_DIR = resolve(ROOT, 'src/data');
+const SCHEMA_DIR = resolve(DATA_DIR, 'schemas');
+
+const DATA_FILES = [
+  { key: 'gallery', file: 'gallery.json', schema: 'gallery.schema.json' },
+  { key: 'travelPoints', file: 'travel-points.json', schema: 'travel-points.schema.json' },
+  { key: 'travelPostcards', file: 'travel-postcards.json', schema: 'travel-postcards.schema.json' },
+  { key: 'books', file: 'books.json', schema: 'books.schema.json' },
+  { key: 'albumConfig', file: 'album-config.json', schema: 'album-config.schema.json' },
+  { key: 'tagConfig', file: 'tag-config.json', schema: 'tag-config.schema.json' },
+  { key: 'geocodeCache', file: 'geocode-cache.json', schema: 'geocode-cache.schema.json' },
+  { key: 'geocodeOverrides', file: 'geocode-overrides.json', schema: 'geocode-overrides.schema.json' },
+  { key: 'galleryHistory', file: 'gallery-history.json', schema: 'gallery-history.schema.json' }
+];
+
+const errors = [];
+const warnings = [];
+
+function report(list, file, path, message) {
+  list.push({ file, path, message });
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Turns an ajv JSON pointer (`/folders/postcards~1Art/3/width`) into
+ * a readable accessor path (`folders["postcards/Art"][3].width`).
+ */
+function formatPointer(pointer) {
+  if (!pointer) return '(root)';
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .map((segment, index) => {
+      if (/^\d+$/.test(segment)) return `[${segment}]`;
+      if (/^[A-Za-z_$][\w$]*$/.test(segment)) return index === 0 ? segment : `.${segment}`;
+      return `[${JSON.stringify(segment)}]`;
+    })
+    .join('');
+}
+
+function appendPath(base, key) {
+  const formatted = typeof key === 'number' ? `[${key}]` : /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+  return base === '(root)' ? formatted.replace(/^\./, '') : `${base}${formatted}`;
+}
+
+function describeAjvError(error) {
+  let path = formatPointer(error.instancePath);
+  if (error.keyword === 'required') {
+    return { path: appendPath(path, error.params.missingProperty), message: 'is required' };
+  }
+  if (error.keyword === 'additionalProperties') {
+    return { path: appendPath(path, error.params.additionalProperty), message: 'is not an allowed property' };
+  }
+  if (error.keyword === 'propertyNames') {
+    path = appendPath(path, error.params.propertyName);
+    return { path, message: 'has an invalid key' };
+  }
+  if (error.keyword === 'enum') {
+    return { path, message: `must be one of ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}` };
+  }
+  return { path, message: error.message };
+}
+
+function loadJson(file) {
+  const filePath = resolve(DATA_DIR, file);
+  if (!existsSync(filePath)) {
+    report(errors, file, '(file)', 'is missing');
+    return undefined;
+  }
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch (err) {
+    report(errors, file, '(file)', `is not valid JSON: ${err.message}`);
+    return undefined;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Cross-file checks
+// ---------------------------------------------------------------------------
+
+function checkGallery({ gallery, tagConfig }) {
+  if (!gallery?.folders) return;
+  const resolveTag = createTagResolver(tagConfig?.tags || {});
+  const seen = new Map();
+  const slugs = new Map();
+
+  for (const [folder, items] of Object.entries(gallery.folders)) {
+    if (!Array.isArray(items)) continue;
+    items.forEach((item, index) => {
+      const path = `folders[${JSON.stringify(folder)}][${index}]`;
+      const id = item?.public_id;
+      if (typeof id === 'string') {
+        if (seen.has(id)) {
+          report(errors, 'gallery.json', `${path}.public_id`, `duplicates ${seen.get(id)} ("${id}"); postcard pages would collide`);
+        } else {
+          seen.set(id, path);
+        }
+      }
+      if (typeof item?.folder === 'string' && item.folder !== folder) {
+        report(warnings, 'gallery.json', `${path}.folder`, `"${item.folder}" does not match its group "${folder}"`);
+      }
+      for (const tag of Array.isArray(item?.tags) ? item.tags : []) {
+        if (typeof tag !== 'string') continue;
+        // Aliases merge into their canonical tag on purpose, so compare canonical codes.
+        const code = resolveTag(tag);
+        const slug = slugify(code);
+        if (!slugs.has(slug)) slugs.set(slug, new Set());
+        slugs.get(slug).add(code);
+      }
+    });
+  }
+
+  for (const [slug, codes] of slugs) {
+    if (codes.size > 1) {
+      report(warnings, 'gallery.json', `tags`, `${Array.from(codes).map(c => `"${c}"`).join(', ')} share the tag page /tag/${slug}`);
+    }
+  }
+}
+
+function checkTravelPoints({ gallery, travelPoints }) {
+  if (!Array.isArray(travelPoints)) return;
+  const galleryIds = new Set();
+  const galleryPlaceIds = [];
+  for (const [folder, items] of Object.entries(gallery?.folders || {})) {
+    (Array.isArray(items) ? items : []).forEach((item, index) => {
+      if (typeof item?.public_id === 'string') galleryIds.add(item.public_id);
+      const placeId = item?.metadata?.placeId;
+      if (typeof placeId === 'string' && placeId) {
+        galleryPlaceIds.push({ placeId, path: `folders[${JSON.stringify(folder)}][${index}].metadata.placeId` });
+      }
+    });
+  }
+
+  const pointIds = new Map();
+  travelPoints.forEach((point, index) => {
+    if (!point || typeof point !== 'object') return;
+    if (typeof point.id === 'string') {
+      if (pointIds.has(point.id)) {
+        report(errors, 'travel-points.json', `[${index}].id`, `duplicates [${pointIds.get(point.id)}].id ("${point.id}")`);
+      } else {
+        pointIds.set(point.id, index);
+      }
+    }
+
+    // Points synced from a Cloudinary folder outside the gallery root (sourceFolder)
+    // are rendered from their public_id alone, so only hand-written links must resolve.
+    const postcardId = typeof point.postcardId === 'string' ? point.postcardId.trim() : '';
+    if (postcardId && !point.sourceFolder && !galleryIds.has(postcardId)) {
+      report(errors, 'travel-points.json', `[${index}].postcardId`, `"${postcardId}" matches no item in gallery.json`);
+    }
+
+    // The schema checks each date; only the order of a range is left to check here.
+    const visited = point.visited;
+    if (visited && typeof visited === 'object' && parseVisit(visited.from) && parseVisit(visited.to) && !parseVisit(visited)) {
+      report(errors, 'travel-points.json', `[${index}].visited`, `range ends (${visited.to}) before it starts (${visited.from})`);
+    }
+  });
+
+  for (const { placeId, path } of galleryPlaceIds) {
+    if (!pointIds.has(placeId)) {
+      report(errors, 'gallery.json', path, `"${placeId}" matches no id in travel-points.json`);
+    }
+  }
+}
+
+function checkTravelPostcards({ travelPostcards, geocodeCache, geocodeOverrides }) {
+  const cards = travelPostcards?.postcards;
+  if (!cards || typeof cards !== 'object') return;
+  const places = createPlaceLookup({ cache: geocodeCache || {}, overrides: geocodeOverrides || {} });
+  for (const [key, card] of Object.entries(cards)) {
+    if (!card || typeof card !== 'object') continue;
+    const path = `postcards[${JSON.stringify(key)}]`;
+    if (card.id !== key) {
+      report(errors, 'travel-postcards.json', `${path}.id`, `"${card.id}" does not match its key`);
+    }
+    const prefix = key.split('-')[0];
+    if (typeof card.country_code === 'string' && card.country_code !== prefix) {
+      report(warnings, 'travel-postcards.json', `${path}.country_code`, `"${card.country_code}" differs from the id prefix "${prefix}"`);
+    }
+    // The travel map only knows cached or overridden places; run `npm run fetch:travel` to geocode new ones.
+    if (typeof card.country_code !== 'string') continue;
+    const { origin, destination } = getCardPlaces(card);
+    if (origin.city && !places.lookup(origin.countryCode, origin.city)) {
+      report(warnings, 'travel-postcards.json', `${path}.city_sent`, `"${origin.city}" has no coordinates in geocode-cache.json or geocode-overrides.json`);
+    }
+    if (destination && !places.lookup(destination.countryCode, destination.city)) {
+      report(warnings, 'travel-postcards.json', `${path}.recipient_city`, `"${destination.city}" has no coordinates in geocode-cache.json or geocode-overrides.json`);
+    }
+  }
+}
+
+function checkBooks({ books }) {
+  if (!Array.isArray(books)) return;
+  const ids = new Map();
+  books.forEach((book, index) => {
+    if (typeof book?.id !== 'number') return;
+    if (ids.has(book.id)) {
+      report(errors, 'books.json', `[${index}].id`, `duplicates [${ids.get(book.id)}].id (${book.id})`);
+    } else {
+      ids.set(book.id, index);
+    }
+  });
+}
+
+function checkAlbumConfig({ gallery, albumConfig }) {
+  const entries = albumConfig?.albums;
+  if (!Array.isArray(entries) || !gallery?.folders) return;
+  const root = gallery.root || '';
+  const folders = new Map();
+  for (const [folder, items] of Object.entries(gallery.folders)) {
+    const id = root && folder.startsWith(`${root}/`) ? folder.slice(root.length + 1) : folder;
+    folders.set(id, new Set((Array.isArray(items) ? items : []).map(item => item?.public_id)));
+  }
+  // Parent albums exist even when only their sub-folders hold postcards; their covers come from the subtree.
+  for (const [id, ids] of Array.from(folders.entries())) {
+    const segments = id.split('/');
+    for (let depth = segments.length - 1; depth > 0; depth -= 1) {
+      const parent = segments.slice(0, depth).join('/');
+      if (!folders.has(parent)) folders.set(parent, new Set());
+      ids.forEach(publicId => folders.get(parent).add(publicId));
+    }
+  }
+
+  const seen = new Map();
+  entries.forEach((entry, index) => {
+    if (!entry || typeof entry.folder !== 'string') return;
+    const path = `albums[${index}]`;
+    if (seen.has(entry.folder)) {
+      report(errors, 'album-config.json', `${path}.folder`, `duplicates albums[${seen.get(entry.folder)}] ("${entry.folder}")`);
+      return;
+    }
+    seen.set(entry.folder, index);
+    const ids = folders.get(entry.folder);
+    if (!ids) {
+      report(warnings, 'album-config.json', `${path}.folder`, `"${entry.folder}" matches no gallery folder`);
+      return;
+    }
+    if (typeof entry.cover === 'string' && !ids.has(entry.cover)) {
+      report(warnings, 'album-config.json', `${path}.cover`, `"${entry.cover}" is not a postcard in "${entry.folder}"`);
+    }
+  });
+}
+
+function checkTagConfig({ tagConfig }) {
+  if (!tagConfig?.tags || typeof tagConfig.tags !== 'object') return;
+  const groupIds = new Set((Array.isArray(tagConfig.groups) ? tagConfig.groups : []).map(group => group?.id));
+  const owners = new Map();
+  const claim = (value, code, path) => {
+    const key = toTagKey(value);
+    const owner = owners.get(key);
+    if (owner && owner !== code) {
+      report(errors, 'tag-config.json', path, `"${value}" already belongs to tags["${owner}"]`);
+    } else {
+      owners.set(key, code);
+    }
+  };
+
+  for (const code of Object.keys(tagConfig.tags)) claim(code, code, `tags[${JSON.stringify(code)}]`);
+  for (const [code, definition] of Object.entries(tagConfig.tags)) {
+    if (!definition || typeof definition !== 'object') continue;
+    const path = `tags[${JSON.stringify(code)}]`;
+    if (typeof definition.group === 'string' && !groupIds.has(definition.group)) {
+      report(errors, 'tag-config.json', `${path}.group`, `"${definition.group}" matches no id in groups`);
+    }
+    (Array.isArray(definition.aliases) ? definition.aliases : []).forEach((alias, index) => {
+      if (typeof alias === 'string') claim(alias, code, `${path}.aliases[${index}]`);
+    });
+  }
+}
+
+function checkGeocodeCache({ geocodeCache, geocodeOverrides }) {
+  const files = [
+    ['geocode-cache.json', geocodeCache],
+    ['geocode-overrides.json', geocodeOverrides]
+  ];
+  for (const [file, places] of files) {
+    if (!places || typeof places !== 'object') continue;
+    for (const [key, entry] of Object.entries(places)) {
+      const prefix = key.split(':')[0];
+      if (entry && typeof entry.countryCode === 'string' && entry.countryCode !== prefix) {
+        report(warnings, file, `[${JSON.stringify(key)}].countryCode`, `"${entry.countryCode}" differs from the key prefix "${prefix}"`);
+      }
+    }
+  }
+}
+
+const CROSS_CHECKS = [
+  checkGallery,
+  checkTravelPoints,
+  checkTravelPostcards,
+  checkBooks,
+  checkAlbumConfig,
+  checkTagConfig,
+  checkGeocodeCache
+];
+
+// ---------------------------------------------------------------------------
+// Main
+// ---------------------------------------------------------------------------
+
+function main() {
+  const ajv = new Ajv({ allErrors: true });
+  const data = {};
+
+  for (const { key, file, schema } of DATA_FILES) {
+    const value = loadJson(file);
+    if (value === undefined) continue;
+
+    const validate = ajv.compile(JSON.parse(readFileSync(resolve(SCHEMA_DIR, schema), 'utf-8')));
+    if (validate(value)) {
+      data[key] = value;
+      continue;
+    }
+    for (const error of validate.errors) {
+      const { path, message } = describeAjvError(error);
+      report(errors, file, path, message);
+    }
+    // Keep partially valid data for cross-file checks; they guard against bad shapes.
+    data[key] = value;
+  }
+
+  for (const check of CROSS_CHECKS) check(data);
+
+  for (const w of warnings) console.warn(`[warn] ${w.file}: ${w.path} ${w.message}`);
+  for (const e of errors) console.error(`[error] ${e.file}: ${e.path} ${e.message}`);
+
+  const dataDir = relative(ROOT, DATA_DIR);
+  if (errors.length) {
+    console.error(`\n[fail] ${errors.length} error(s), ${warnings.length} warning(s) in ${dataDir}`);
+    process.exit(1);
+  }
+  console.log(`[ok] ${DATA_FILES.length} data files valid in ${dataDir} (${warnings.length} warning(s))`);
+}
+
+main();
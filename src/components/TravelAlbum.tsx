@@ -1,16 +1,33 @@
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useMemo } from 'react';
+import { getUserLocale, type Locale } from '../i18n';
+import { countryName } from '../data/countries.js';
+import {
+  createOfflineBasemap,
+  initialBasemapMode,
+  isDarkTheme,
+  loadCountries,
+  saveBasemapMode,
+  watchTileFailures,
+  type BasemapMode,
+} from './map/offline-basemap';
 
-interface PostcardData {
+export type Direction = 'sent' | 'received';
+
+export interface PostcardData {
   id: string;
+  direction?: string;
   country_code: string;
   country_name: string;
   city_sent: string;
-  date_sent: string;
+  date_sent: string | null;
   days_in_transit: number | null;
   distance_km: number | null;
   sender_username: string;
+  recipient_username?: string;
+  recipient_city?: string;
   recipient_country: string;
-  received_date: string;
+  recipient_country_code?: string;
+  received_date: string | null;
   image_url: string;
 }
 
@@ -20,7 +37,7 @@ interface CountryGroup {
   cards: PostcardData[];
 }
 
-interface MapPoint {
+export interface MapPoint {
   city: string;
   country: string;
   countryCode: string;
@@ -29,22 +46,119 @@ interface MapPoint {
   count: number;
 }
 
-interface Props {
+export interface MapRoute {
+  from: [number, number];
+  to: [number, number];
+  fromLabel: string;
+  toLabel: string;
+  count: number;
+}
+
+interface UnmappedCity {
+  city: string;
+  country: string;
+  countryCode: string;
+  count: number;
+}
+
+export interface TravelView {
+  direction: Direction;
   countries: CountryGroup[];
-  mapPoints?: MapPoint[];
+  mapPoints: MapPoint[];
+  routes: MapRoute[];
+  unmappedCities: UnmappedCity[];
+}
+
+interface Props {
+  views: TravelView[];
+  initialDirection: Direction;
+  /** Site base path, used to load the offline basemap from `geo/countries.geojson`. */
+  baseUrl: string;
 }
 
+const DIRECTION_LABELS: Record<Direction, string> = {
+  received: 'Received',
+  sent: 'Sent',
+};
+
+const BASEMAP_MODES: BasemapMode[] = ['tiles', 'offline'];
+
+const BASEMAP_LABELS: Record<BasemapMode, string> = {
+  tiles: 'Tiles',
+  offline: 'Offline',
+};
+
 const FLAG_URL = (code: string) =>
   `https://flagcdn.com/24x18/${code.toLowerCase()}.png`;
 
+/** ISO day (`2025-10-18`) → `18 Oct 2025`; anything else is shown as stored. */
+function formatDate(value: string | null): string {
+  if (!value) return '—';
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(date.getTime())) return value;
+  return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
+
 function hasImage(card: PostcardData): boolean {
   return !!card.image_url && !card.image_url.includes('/avatars/');
 }
 
+/**
+ * Points along the great circle between two [lat, lng] pairs. Longitudes are
+ * unwrapped past ±180 so routes across the Pacific stay one unbroken line.
+ */
+function greatCircle(from: [number, number], to: [number, number], segments = 64): [number, number][] {
+  const rad = Math.PI / 180;
+  const toVector = ([lat, lng]: [number, number]) => [
+    Math.cos(lat * rad) * Math.cos(lng * rad),
+    Math.cos(lat * rad) * Math.sin(lng * rad),
+    Math.sin(lat * rad),
+  ];
+  const a = toVector(from);
+  const b = toVector(to);
+  const angle = Math.acos(Math.min(1, Math.max(-1, a[0] * b[0] + a[1] * b[1] + a[2] * b[2])));
+  if (angle < 1e-6) return [from, to];
+
+  const path: [number, number][] = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const wa = Math.sin((1 - t) * angle) / Math.sin(angle);
+    const wb = Math.sin(t * angle) / Math.sin(angle);
+    const [x, y, z] = [0, 1, 2].map(k => wa * a[k] + wb * b[k]);
+    let lng = Math.atan2(y, x) / rad;
+    const previous = path[path.length - 1];
+    if (previous) {
+      while (lng - previous[1] > 180) lng -= 360;
+      while (lng - previous[1] < -180) lng += 360;
+    }
+    path.push([Math.atan2(z, Math.hypot(x, y)) / rad, lng]);
+  }
+  return path;
+}
+
 /* ── Inline map (Leaflet, lazy-loaded) ── */
-function TravelMap({ points }: { points: MapPoint[] }) {
+function TravelMap({ points, routes, baseUrl }: { points: MapPoint[]; routes: MapRoute[]; baseUrl: string }) {
   const containerRef = useRef<HTMLDivElement>(null);
   const mapRef = useRef<any>(null);
+  const leafletRef = useRef<any>(null);
+  const [mapReady, setMapReady] = useState(false);
+  const [basemap, setBasemap] = useState<BasemapMode>(initialBasemapMode);
+  const [fellBack, setFellBack] = useState(false);
+  const [showLabels, setShowLabels] = useState(true);
+  const [darkTheme, setDarkTheme] = useState(() => typeof document !== 'undefined' && isDarkTheme());
+
+  const chooseBasemap = (mode: BasemapMode) => {
+    setBasemap(mode);
+    setFellBack(false);
+    saveBasemapMode(mode);
+  };
+
+  // Rebuild the basemap in the new colours when the theme is toggled.
+  useEffect(() => {
+    const observer = new MutationObserver(() => setDarkTheme(isDarkTheme()));
+    observer.observe(document.documentElement, { attributes: true, attributeFilter: ['class'] });
+    return () => observer.disconnect();
+  }, []);
 
   useEffect(() => {
     if (!containerRef.current || mapRef.current) return;
@@ -65,19 +179,6 @@ function TravelMap({ points }: { points: MapPoint[] }) {
         maxZoom: 10,
       }).setView([30, 10], 2);
 
-      // Schematic light tile layer (CartoDB Voyager — clean & minimal)
-      const isDark = document.documentElement.classList.contains('dark') ||
-        !document.documentElement.classList.contains('light');
-
-      const tileUrl = isDark
-        ? 'https://{s}.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}{r}.png'
-        : 'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png';
-
-      L.tileLayer(tileUrl, {
-        subdomains: 'abcd',
-        maxZoom: 19,
-      }).addTo(map);
-
       // Airplane SVG icon
       const planeIcon = (count: number) => L.divIcon({
         className: '',
@@ -103,6 +204,24 @@ function TravelMap({ points }: { points: MapPoint[] }) {
         </div>`,
       });
 
+      // SVG stroke attributes cannot use CSS variables, so resolve the accent colour once.
+      const accent = getComputedStyle(document.documentElement).getPropertyValue('--accent').trim() || '#c2410c';
+      const routeEnds: [number, number][] = [];
+      for (const route of routes) {
+        const path = greatCircle(route.from, route.to);
+        // The path may end on a neighbouring world copy; put the dot where the line arrives.
+        const end = path[path.length - 1];
+        routeEnds.push(end);
+        L.polyline(path, {
+          color: accent,
+          weight: Math.min(1.5 + route.count * 0.5, 4),
+          opacity: 0.55,
+        })
+          .addTo(map)
+          .bindTooltip(`${route.fromLabel} → ${route.toLabel}${route.count > 1 ? ` (${route.count})` : ''}`, { sticky: true });
+        L.circleMarker(end, { radius: 3, color: accent, weight: 1, fillOpacity: 0.8 }).addTo(map);
+      }
+
       for (const pt of points) {
         L.marker([pt.lat, pt.lng], { icon: planeIcon(pt.count) })
           .addTo(map)
@@ -116,38 +235,135 @@ function TravelMap({ points }: { points: MapPoint[] }) {
       }
 
       // Fit bounds to markers with padding
-      if (points.length > 0) {
-        const bounds = L.latLngBounds(points.map(p => [p.lat, p.lng] as [number, number]));
+      const extent = [...points.map(p => [p.lat, p.lng] as [number, number]), ...routeEnds];
+      if (extent.length > 0) {
+        const bounds = L.latLngBounds(extent);
         map.fitBounds(bounds, { padding: [40, 40], maxZoom: 5 });
       }
 
       mapRef.current = map;
+      leafletRef.current = L;
+      setMapReady(true);
     })();
 
     return () => {
       cancelled = true;
+      setMapReady(false);
       if (mapRef.current) {
         mapRef.current.remove();
         mapRef.current = null;
       }
     };
-  }, [points]);
+  }, [points, routes]);
+
+  // Basemap: CARTO tiles (no labels), or the bundled countries GeoJSON when
+  // tiles are switched off or fail to load.
+  useEffect(() => {
+    const map = mapRef.current;
+    const L = leafletRef.current;
+    if (!mapReady || !map || !L) return;
+
+    if (basemap === 'tiles') {
+      const layer = L.tileLayer(
+        darkTheme
+          ? 'https://{s}.basemaps.cartocdn.com/dark_nolabels/{z}/{x}/{y}{r}.png'
+          : 'https://{s}.basemaps.cartocdn.com/light_nolabels/{z}/{x}/{y}{r}.png',
+        { subdomains: 'abcd', maxZoom: 19 }
+      ).addTo(map);
+      const stopWatching = watchTileFailures(layer, () => {
+        setBasemap('offline');
+        setFellBack(true);
+      });
+      return () => {
+        stopWatching();
+        layer.remove();
+      };
+    }
+
+    let cancelled = false;
+    let layer: any = null;
+    const labels = showLabels ? points.map(p => ({ text: p.city, lat: p.lat, lng: p.lng })) : [];
+    loadCountries(baseUrl)
+      .then(countries => {
+        if (cancelled) return;
+        layer = createOfflineBasemap(L, map, countries, labels).addTo(map);
+      })
+      .catch(error => console.warn('[travel-map] offline basemap unavailable:', error));
+    return () => {
+      cancelled = true;
+      layer?.remove();
+    };
+  }, [mapReady, basemap, showLabels, darkTheme, points, baseUrl]);
 
   return (
-    <div
-      ref={containerRef}
-      className="h-[350px] w-full rounded-lg border border-[var(--border-card)] overflow-hidden"
-      style={{ background: 'var(--surface-card-grid)' }}
-    />
+    <div>
+      <div
+        ref={containerRef}
+        className="h-[350px] w-full rounded-lg border border-[var(--border-card)] overflow-hidden"
+        style={{ background: 'var(--surface-card-grid)' }}
+      />
+      <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-2 text-xs text-[var(--text-muted)]">
+        <div className="inline-flex overflow-hidden rounded-md border border-[var(--border-card)]" role="group" aria-label="Basemap">
+          {BASEMAP_MODES.map(mode => (
+            <button
+              key={mode}
+              type="button"
+              onClick={() => chooseBasemap(mode)}
+              aria-pressed={basemap === mode}
+              className={`px-2.5 py-1 transition ${
+                basemap === mode
+                  ? 'bg-[var(--accent)] text-[var(--paper)]'
+                  : 'bg-[var(--surface-card)] text-[var(--text-primary)] hover:bg-[var(--surface-card-tile)]'
+              }`}
+            >
+              {BASEMAP_LABELS[mode]}
+            </button>
+          ))}
+        </div>
+        {basemap === 'offline' && (
+          <label className="inline-flex items-center gap-1.5">
+            <input type="checkbox" checked={showLabels} onChange={e => setShowLabels(e.target.checked)} />
+            City labels
+          </label>
+        )}
+        {fellBack && <span>Map tiles did not load, so the offline map is shown.</span>}
+      </div>
+    </div>
   );
 }
 
-export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
+export default function TravelAlbum({ views, initialDirection, baseUrl }: Props) {
+  // Rendered in English on the server; the reader's locale is only known after hydration.
+  const [locale, setLocale] = useState<Locale>('en');
+  useEffect(() => setLocale(getUserLocale()), []);
+  /** A country in the page locale, falling back to the name stored with the card. */
+  const nameOf = (code: string | undefined, fallback = '') => countryName(code, locale) || fallback;
+
+  const countCards = (view: TravelView) => view.countries.reduce((s, c) => s + c.cards.length, 0);
+  const [direction, setDirection] = useState<Direction>(initialDirection);
   const [activeCountry, setActiveCountry] = useState<string | null>(null);
   const [lightbox, setLightbox] = useState<PostcardData | null>(null);
   const [showMap, setShowMap] = useState(false);
 
-  const totalCards = countries.reduce((s, c) => s + c.cards.length, 0);
+  const view = views.find(v => v.direction === direction) ?? views[0];
+  const { countries, routes, unmappedCities } = view;
+  const totalCards = countCards(view);
+  const mapPoints = useMemo(
+    () => view.mapPoints.map(point => ({ ...point, country: nameOf(point.countryCode, point.country) })),
+    [view, locale]
+  );
+
+  const switchDirection = (next: Direction) => {
+    setDirection(next);
+    setActiveCountry(null);
+  };
+
+  // TravelStats renders one static block per direction above the album.
+  useEffect(() => {
+    document.querySelectorAll<HTMLElement>('[data-travel-stats]').forEach(el => {
+      el.hidden = el.dataset.travelStats !== direction;
+    });
+  }, [direction]);
 
   const visibleCountries = activeCountry
     ? countries.filter(c => c.code === activeCountry)
@@ -162,8 +378,26 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
             Travel Album
           </h1>
           <p className="mt-2 text-sm text-[var(--text-muted)]">
-            Postcards received through Postcrossing
+            Postcards sent and received through Postcrossing
           </p>
+          <div className="mt-4 flex gap-2" role="tablist" aria-label="Direction">
+            {views.map(v => (
+              <button
+                key={v.direction}
+                type="button"
+                role="tab"
+                aria-selected={v.direction === direction}
+                onClick={() => switchDirection(v.direction)}
+                className={`rounded-full border px-4 py-1.5 text-sm font-semibold transition ${
+                  v.direction === direction
+                    ? 'border-[var(--border-chip-accent)] bg-[var(--surface-card-tile)] text-[var(--accent)]'
+                    : 'border-[var(--border-chip-muted)] bg-[var(--surface-chip)] text-[var(--text-muted)] hover:text-[var(--accent)]'
+                }`}
+              >
+                {DIRECTION_LABELS[v.direction]} <span className="opacity-60">{countCards(v)}</span>
+              </button>
+            ))}
+          </div>
           <div className="mt-3 flex gap-4 text-sm text-[var(--text-muted)]">
             <span>{totalCards} {totalCards === 1 ? 'postcard' : 'postcards'}</span>
             <span>&middot;</span>
@@ -172,7 +406,7 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
         </header>
 
         {/* Map toggle */}
-        {mapPoints.length > 0 && (
+        {(mapPoints.length > 0 || unmappedCities.length > 0) && (
           <div className="mb-8">
             <button
               onClick={() => setShowMap(v => !v)}
@@ -192,7 +426,15 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
             </button>
             {showMap && (
               <div className="mt-4">
-                <TravelMap points={mapPoints} />
+                <TravelMap points={mapPoints} routes={routes} baseUrl={baseUrl} />
+                {unmappedCities.length > 0 && (
+                  <p className="mt-2 text-xs text-[var(--text-muted)]">
+                    Not on the map yet:{' '}
+                    {unmappedCities
+                      .map(c => `${c.city}, ${nameOf(c.countryCode, c.country)}${c.count > 1 ? ` (${c.count})` : ''}`)
+                      .join('; ')}
+                  </p>
+                )}
               </div>
             )}
           </div>
@@ -228,12 +470,18 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
                 className="rounded-[2px]"
                 loading="lazy"
               />
-              {c.name}
+              {nameOf(c.code, c.name)}
               <span className="opacity-60">{c.cards.length}</span>
             </button>
           ))}
         </div>
 
+        {totalCards === 0 && (
+          <p className="mb-12 text-sm text-[var(--text-muted)]">
+            No {DIRECTION_LABELS[direction].toLowerCase()} postcards yet.
+          </p>
+        )}
+
         {/* Country sections */}
         {visibleCountries.map(country => (
           <section key={country.code} className="mb-12">
@@ -246,7 +494,7 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
                 className="rounded-[2px]"
               />
               <h2 className="text-2xl font-bold font-[Cormorant_Garamond,serif]">
-                {country.name}
+                {nameOf(country.code, country.name)}
               </h2>
               <span className="text-sm text-[var(--text-muted)]">
                 {country.cards.length} {country.cards.length === 1 ? 'postcard' : 'postcards'}
@@ -290,7 +538,10 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
                       {card.city_sent}
                     </p>
                     <div className="mt-2 flex flex-wrap gap-x-3 gap-y-1 text-xs text-[var(--text-muted)]">
-                      <span>{card.date_sent}</span>
+                      <span>{formatDate(card.date_sent)}</span>
+                      {card.received_date == null && (
+                        <span className="text-[var(--accent)]">Travelling</span>
+                      )}
                       {card.days_in_transit != null && (
                         <span>{card.days_in_transit}d in transit</span>
                       )}
@@ -299,8 +550,17 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
                       )}
                     </div>
                     <div className="mt-2 text-xs text-[var(--text-muted)]">
-                      <span className="opacity-70">to</span>{' '}
-                      {card.recipient_country}
+                      {direction === 'sent' ? (
+                        <>
+                          <span className="opacity-70">to</span>{' '}
+                          {[card.recipient_city?.split(',')[0], nameOf(card.recipient_country_code, card.recipient_country)].filter(Boolean).join(', ')}
+                        </>
+                      ) : (
+                        <>
+                          <span className="opacity-70">from</span>{' '}
+                          {card.sender_username}
+                        </>
+                      )}
                     </div>
                   </div>
                 </article>
@@ -340,11 +600,11 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
               <div className="p-4">
                 <h3 className="text-lg font-semibold">{lightbox.id}</h3>
                 <p className="mt-1 text-sm text-[var(--text-muted)]">
-                  {lightbox.city_sent}, {lightbox.country_name}
+                  {lightbox.city_sent}, {nameOf(lightbox.country_code, lightbox.country_name)}
                 </p>
                 <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1 text-sm text-[var(--text-muted)]">
-                  <span>Sent: {lightbox.date_sent}</span>
-                  <span>Received: {lightbox.received_date}</span>
+                  <span>Sent: {formatDate(lightbox.date_sent)}</span>
+                  <span>{lightbox.received_date ? `Received: ${formatDate(lightbox.received_date)}` : 'Still travelling'}</span>
                   {lightbox.days_in_transit != null && (
                     <span>{lightbox.days_in_transit} days in transit</span>
                   )}
@@ -353,7 +613,8 @@ export default function TravelAlbum({ countries, mapPoints = [] }: Props) {
                   )}
                 </div>
                 <p className="mt-2 text-sm text-[var(--text-muted)]">
-                  To: {lightbox.recipient_country}
+                  From: {lightbox.sender_username} &middot; To:{' '}
+                  {[lightbox.recipient_username, lightbox.recipient_city, nameOf(lightbox.recipient_country_code, lightbox.recipient_country)].filter(Boolean).join(', ')}
                 </p>
               </div>
             </div>
@@ -2,6 +2,9 @@ import React, { useEffect, useMemo, useRef, useState, useCallback } from 'react'
 import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import { getUserLocale, t, tPlural } from '../../i18n';
+import { countryCodeFromName, countryName, toCountryCode } from '../../data/countries.js';
+import { formatVisit, parseVisit } from '../../data/visits.js';
+import { clusterPoints } from './clustering';
 
 type MapPostcard = {
   id: string;
@@ -23,12 +26,108 @@ export type TravelPoint = {
   lng: number;
   postcardId?: string | null; // Cloudinary public_id, matches `item.id`
   description?: string | null; // optional override for popup
+  visited?: string | { from: string; to?: string } | null; // `2014`, `2014-05` or { from, to }
 };
 
+export type CountryCount = {
+  code: string;
+  name: string;
+  count: number;
+};
+
+type ShadingMode = 'visited' | 'points' | 'postcards' | 'received';
+
+const SHADING_MODES: ShadingMode[] = ['visited', 'points', 'postcards', 'received'];
+
+const WORLD_VIEW = { lat: 20, lng: 0, zoom: 2 };
+
+// Query parameters that make a map view shareable, e.g. /map?country=IT&hide=missing&view=42.5,12.5,6
+const URL_PARAMS = {
+  country: 'country',
+  place: 'place',
+  hide: 'hide',
+  shading: 'shading',
+  year: 'year',
+  only: 'only',
+  view: 'view'
+} as const;
+
+type MapUrlState = {
+  view: { lat: number; lng: number; zoom: number } | null;
+  country: string;
+  place: string; // travel point id with an open popup
+  showVisitedPoints: boolean;
+  showWithPostcards: boolean;
+  showMissingPostcards: boolean;
+  showUndated: boolean;
+  shading: ShadingMode;
+  year: number | null;
+  onlyThisYear: boolean;
+};
+
+function readMapUrlState(): MapUrlState {
+  const params = new URLSearchParams(window.location.search);
+  const hidden = new Set((params.get(URL_PARAMS.hide) || '').split(','));
+  const [lat, lng, zoom] = (params.get(URL_PARAMS.view) || '').split(',').map(Number);
+  const country = (params.get(URL_PARAMS.country) || '').trim().toUpperCase();
+  const shading = params.get(URL_PARAMS.shading) as ShadingMode;
+  const year = Number(params.get(URL_PARAMS.year));
+  return {
+    view: params.has(URL_PARAMS.view) && [lat, lng, zoom].every(Number.isFinite) && Math.abs(lat) <= 90
+      ? { lat, lng, zoom }
+      : null,
+    country: /^[A-Z]{2}$/.test(country) ? country : '',
+    place: (params.get(URL_PARAMS.place) || '').trim(),
+    showVisitedPoints: !hidden.has('points'),
+    showWithPostcards: !hidden.has('postcards'),
+    showMissingPostcards: !hidden.has('missing'),
+    showUndated: !hidden.has('undated'),
+    shading: SHADING_MODES.includes(shading) ? shading : 'visited',
+    year: params.has(URL_PARAMS.year) && Number.isInteger(year) ? year : null,
+    onlyThisYear: params.get(URL_PARAMS.only) === '1'
+  };
+}
+
+/** What earns its own history entry: picking a country, layers, shading or a place, but not panning or the timeline. */
+function historyKey(state: MapUrlState): string {
+  const { country, showVisitedPoints, showWithPostcards, showMissingPostcards, shading } = state;
+  return JSON.stringify([country, showVisitedPoints, showWithPostcards, showMissingPostcards, shading]);
+}
+
+function writeMapUrl(state: MapUrlState, push: boolean) {
+  const url = new URL(window.location.href);
+  Object.values(URL_PARAMS).forEach(key => url.searchParams.delete(key));
+  if (state.country) url.searchParams.set(URL_PARAMS.country, state.country);
+  if (state.place) url.searchParams.set(URL_PARAMS.place, state.place);
+  const hidden = [
+    !state.showVisitedPoints && 'points',
+    !state.showWithPostcards && 'postcards',
+    !state.showMissingPostcards && 'missing',
+    !state.showUndated && 'undated'
+  ].filter(Boolean);
+  if (hidden.length) url.searchParams.set(URL_PARAMS.hide, hidden.join(','));
+  if (state.shading !== 'visited') url.searchParams.set(URL_PARAMS.shading, state.shading);
+  if (state.year !== null) {
+    url.searchParams.set(URL_PARAMS.year, String(state.year));
+    if (state.onlyThisYear) url.searchParams.set(URL_PARAMS.only, '1');
+  }
+  const view = state.view;
+  if (view && !(view.lat === WORLD_VIEW.lat && view.lng === WORLD_VIEW.lng && view.zoom === WORLD_VIEW.zoom)) {
+    url.searchParams.set(URL_PARAMS.view, `${view.lat.toFixed(4)},${view.lng.toFixed(4)},${view.zoom}`);
+  }
+  if (url.href === window.location.href) return;
+  if (push) {
+    window.history.pushState(window.history.state, '', url);
+  } else {
+    window.history.replaceState(window.history.state, '', url);
+  }
+}
+
 type Props = {
   baseUrl: string;
   points: TravelPoint[];
   postcards: MapPostcard[];
+  receivedCountries?: CountryCount[]; // Postcrossing cards received, by sender country
 };
 
 type MarkerEntry = {
@@ -38,17 +137,30 @@ type MarkerEntry = {
   countryCode: string;
 };
 
-function normalizeCountryName(value: string): string {
-  const raw = String(value || '').trim().toLowerCase();
-  if (!raw) return '';
-
-  // Remove diacritics, punctuation, and normalize whitespace.
-  const withoutDiacritics = raw.normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
-  return withoutDiacritics
-    .replace(/&/g, ' and ')
-    .replace(/[^a-z0-9]+/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+// How long the timeline stays on each year while playing.
+const TIMELINE_STEP_MS = 1200;
+
+// Markers closer than this many pixels share a count bubble, up to this zoom level.
+const CLUSTER_RADIUS_PX = 40;
+const CLUSTER_MAX_ZOOM = 6;
+
+/**
+ * Quantile classes for the choropleth: up to `maxBuckets` ranges holding
+ * roughly the same number of countries each. Equal values never straddle two
+ * ranges, so small datasets simply get fewer buckets.
+ */
+function quantileBuckets(values: number[], maxBuckets = 5): Array<{ min: number; max: number }> {
+  const sorted = values.filter(value => value > 0).sort((a, b) => a - b);
+  const buckets: Array<{ min: number; max: number }> = [];
+  let start = 0;
+  for (let i = 1; i <= maxBuckets && start < sorted.length; i++) {
+    let end = Math.ceil((i * sorted.length) / maxBuckets) - 1;
+    if (end < start) continue;
+    while (end + 1 < sorted.length && sorted[end + 1] === sorted[end]) end++;
+    buckets.push({ min: sorted[start], max: sorted[end] });
+    start = end + 1;
+  }
+  return buckets;
 }
 
 function normalizeCityKey(value: string): string {
@@ -73,14 +185,10 @@ function clampBaseUrl(baseUrl: string) {
 }
 
 function getMapColors() {
-  if (typeof window === 'undefined') {
-    return {
-      borderColor: 'rgba(158, 181, 137, 0.55)',
-      visitedFill: 'rgba(158, 181, 137, 0.22)'
-    };
-  }
-  const style = getComputedStyle(document.documentElement);
-  const accent = style.getPropertyValue('--accent').trim() || '#a8c99b';
+  const accent =
+    typeof window === 'undefined'
+      ? '#9eb589'
+      : getComputedStyle(document.documentElement).getPropertyValue('--accent').trim() || '#a8c99b';
   // Parse hex to rgba
   const hexToRgba = (hex: string, alpha: number) => {
     const r = parseInt(hex.slice(1, 3), 16);
@@ -90,7 +198,10 @@ function getMapColors() {
   };
   return {
     borderColor: hexToRgba(accent, 0.55),
-    visitedFill: hexToRgba(accent, 0.22)
+    visitedFill: hexToRgba(accent, 0.22),
+    // Choropleth buckets: the accent colour from faint to strong.
+    scaleFills: (steps: number) =>
+      Array.from({ length: steps }, (_, i) => hexToRgba(accent, steps === 1 ? 0.5 : 0.14 + (0.66 * i) / (steps - 1)))
   };
 }
 
@@ -106,6 +217,17 @@ function makeMarkerIcon(kind: 'filled' | 'outline') {
   });
 }
 
+function makeClusterIcon(count: number, kind: 'filled' | 'outline') {
+  const size = count < 10 ? 28 : count < 50 ? 34 : 40;
+  return L.divIcon({
+    className: 'map-marker-icon',
+    html: `<span class="map-cluster map-cluster--${kind}" style="width:${size}px;height:${size}px">${count}</span>`,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+    tooltipAnchor: [0, size / 2]
+  });
+}
+
 function getCountryA2FromFeature(feature: any): string | null {
   const props = feature?.properties;
   if (!props || typeof props !== 'object') return null;
@@ -140,6 +262,42 @@ function getCountryA3FromFeature(feature: any): string | null {
   return null;
 }
 
+function getFeatureCountryName(feature: any): string | null {
+  const props = feature?.properties;
+  if (!props || typeof props !== 'object') return null;
+
+  const candidates = [
+    props.ADMIN,
+    props.admin,
+    props.NAME,
+    props.name,
+    props.NAME_LONG,
+    props.name_long,
+    // Current `public/geo/countries.geojson` uses a minimal schema.
+    props.name
+  ];
+  for (const candidate of candidates) {
+    const value = typeof candidate === 'string' ? candidate.trim() : '';
+    if (value) return value;
+  }
+
+  return null;
+}
+
+/** ISO alpha-2 code of a GeoJSON feature: from its A2 or A3 fields, or its name as a last resort. */
+function getFeatureCountryCode(feature: any): string | null {
+  return (
+    toCountryCode(getCountryA2FromFeature(feature)) ||
+    toCountryCode(getCountryA3FromFeature(feature)) ||
+    countryCodeFromName(getFeatureCountryName(feature))
+  );
+}
+
+/** The point's country in the page locale, falling back to the name stored with the point. */
+function getPointCountryName(point: TravelPoint, locale: 'en' | 'ru'): string {
+  return countryName(point.countryCode, locale) || (point.countryName || '').trim();
+}
+
 function isAntarcticaFeature(feature: any): boolean {
   const props = feature?.properties;
   if (!props || typeof props !== 'object') return false;
@@ -174,10 +332,12 @@ function buildPopupContent(
 
   const sub = document.createElement('div');
   sub.className = 'map-popup__sub';
-  const subParts = [point.countryName, point.countryCode].filter(Boolean);
+  const subParts = [getPointCountryName(point, locale), point.countryCode].filter(Boolean);
   // Use point.description override, or fall back to postcard metadata/description
   const desc = (point.description || postcard?.metadataDesc || postcard?.description || '').trim();
   if (desc) subParts.push(desc);
+  const visit = formatVisit(point.visited);
+  if (visit) subParts.push(`${t(locale, 'map.popup.visited')} ${visit}`);
   sub.textContent = subParts.join(' • ');
   root.appendChild(sub);
 
@@ -224,19 +384,29 @@ export default function WorldMap(props: Props) {
   const containerRef = useRef<HTMLDivElement | null>(null);
   const mapRef = useRef<L.Map | null>(null);
   const countriesLayerRef = useRef<L.GeoJSON | null>(null);
-  const countryA2ToA3Ref = useRef<Map<string, string>>(new Map());
 
   const markersRef = useRef<MarkerEntry[]>([]);
   const withPostcardsLayerRef = useRef<L.LayerGroup | null>(null);
   const missingPostcardsLayerRef = useRef<L.LayerGroup | null>(null);
 
-  const [showVisitedPoints, setShowVisitedPoints] = useState(true);
-  const [showWithPostcards, setShowWithPostcards] = useState(true);
-  const [showMissingPostcards, setShowMissingPostcards] = useState(true);
-  const [countryFilter, setCountryFilter] = useState<string>('');
+  // The map opens in the state its URL describes (client-only component, so `window` is there).
+  const [initialUrlState] = useState(readMapUrlState);
+  const pendingPlaceRef = useRef(initialUrlState.place);
+
+  const [showVisitedPoints, setShowVisitedPoints] = useState(initialUrlState.showVisitedPoints);
+  const [showWithPostcards, setShowWithPostcards] = useState(initialUrlState.showWithPostcards);
+  const [showMissingPostcards, setShowMissingPostcards] = useState(initialUrlState.showMissingPostcards);
+  const [countryFilter, setCountryFilter] = useState<string>(initialUrlState.country);
   const [countriesStatus, setCountriesStatus] = useState<'idle' | 'loading' | 'ready' | 'missing'>('idle');
   const [panelOpen, setPanelOpen] = useState(false);
   const [placesListOpen, setPlacesListOpen] = useState(false);
+  // null = all years; otherwise places visited up to (or, with onlyThisYear, during) that year.
+  const [timelineYear, setTimelineYear] = useState<number | null>(initialUrlState.year);
+  const [onlyThisYear, setOnlyThisYear] = useState(initialUrlState.onlyThisYear);
+  const [showUndated, setShowUndated] = useState(initialUrlState.showUndated);
+  const [playing, setPlaying] = useState(false);
+  const [shadingMode, setShadingMode] = useState<ShadingMode>(initialUrlState.shading);
+  const [openPlaceId, setOpenPlaceId] = useState('');
   const hoverTooltipRef = useRef<L.Tooltip | null>(null);
 
   const postcardsById = useMemo(() => {
@@ -247,71 +417,93 @@ export default function WorldMap(props: Props) {
     return map;
   }, [props.postcards]);
 
-  const visitedCountries = useMemo(() => {
-    const set = new Set<string>();
+  const timelineYears = useMemo(() => {
+    let min = Infinity;
+    let max = -Infinity;
     for (const p of props.points || []) {
-      if (p?.countryCode) set.add(p.countryCode.toUpperCase());
+      const visit = parseVisit(p?.visited);
+      if (!visit) continue;
+      min = Math.min(min, visit.startYear);
+      max = Math.max(max, visit.endYear);
     }
-    return set;
+    return Number.isFinite(min) ? { min, max } : null;
   }, [props.points]);
 
-  const visitedCountryNames = useMemo(() => {
+  // Markers, shading, stats and the places list all follow the timeline.
+  const timelinePoints = useMemo(() => {
+    const points = props.points || [];
+    if (timelineYear === null) return points;
+    return points.filter(p => {
+      const visit = parseVisit(p?.visited);
+      if (!visit) return showUndated;
+      if (onlyThisYear) return visit.startYear <= timelineYear && timelineYear <= visit.endYear;
+      return visit.startYear <= timelineYear;
+    });
+  }, [props.points, timelineYear, onlyThisYear, showUndated]);
+
+  const timelinePointIds = useMemo(() => new Set(timelinePoints.map(p => p.id)), [timelinePoints]);
+
+  const visitedCountries = useMemo(() => {
     const set = new Set<string>();
-    for (const p of props.points || []) {
-      const name = normalizeCountryName(p?.countryName || '');
-      if (!name) continue;
-      set.add(name);
-
-      // Common aliases (GeoJSON datasets vary a lot in naming).
-      if (name === 'czechia') set.add('czech republic');
-      if (name === 'united states') set.add('united states of america');
-      if (name === 'serbia') set.add('republic of serbia');
+    for (const p of timelinePoints) {
+      if (p?.countryCode) set.add(p.countryCode.toUpperCase());
     }
     return set;
-  }, [props.points]);
-
-  function getFeatureCountryName(feature: any): string | null {
-    const props = feature?.properties;
-    if (!props || typeof props !== 'object') return null;
-
-    const candidates = [
-      props.ADMIN,
-      props.admin,
-      props.NAME,
-      props.name,
-      props.NAME_LONG,
-      props.name_long,
-      // Current `public/geo/countries.geojson` uses a minimal schema.
-      props.name
-    ];
-    for (const candidate of candidates) {
-      const value = typeof candidate === 'string' ? candidate.trim() : '';
-      if (value) return value;
+  }, [timelinePoints]);
+
+  // Counts behind the choropleth; places and postcards follow the timeline like the markers.
+  const choropleth = useMemo(() => {
+    if (shadingMode === 'visited') return null;
+    const counts = new Map<string, number>();
+    if (shadingMode === 'received') {
+      for (const country of props.receivedCountries || []) {
+        const code = country.code.toUpperCase();
+        counts.set(code, (counts.get(code) || 0) + country.count);
+      }
+    } else {
+      for (const p of timelinePoints) {
+        const code = (p?.countryCode || '').toUpperCase();
+        if (!code || !Number.isFinite(p?.lat) || !Number.isFinite(p?.lng)) continue;
+        if (shadingMode === 'postcards' && !postcardsById.has((p.postcardId || '').trim())) continue;
+        counts.set(code, (counts.get(code) || 0) + 1);
+      }
     }
+    const buckets = quantileBuckets([...counts.values()]);
+    return { counts, codes: new Set(counts.keys()), buckets, fills: getMapColors().scaleFills(buckets.length) };
+  }, [shadingMode, timelinePoints, postcardsById, props.receivedCountries]);
+
+  /** Which of `codes` a GeoJSON feature stands for, or null if none. */
+  function matchFeatureCountry(feature: any, codes: Set<string>): string | null {
+    const code = getFeatureCountryCode(feature);
+    return code && codes.has(code) ? code : null;
+  }
 
-    return null;
+  /** The travel-point country code a GeoJSON feature stands for, or null if not visited. */
+  function getVisitedCountryCode(feature: any): string | null {
+    return matchFeatureCountry(feature, visitedCountries);
   }
 
   function isVisitedFeature(feature: any): boolean {
-    const a2 = getCountryA2FromFeature(feature);
-    if (a2 && visitedCountries.has(a2)) return true;
-
-    // Fallback for datasets without ISO fields: compare country names.
-    const name = normalizeCountryName(getFeatureCountryName(feature) || '');
-    if (name && visitedCountryNames.has(name)) return true;
-
-    const a3 = getCountryA3FromFeature(feature);
-    if (!a3) return false;
-
-    // Some Natural Earth features have ISO_A2='-99' but do have A3.
-    // Derive visited A3 set using the GeoJSON mapping.
-    const mapA2toA3 = countryA2ToA3Ref.current;
-    for (const visitedA2 of visitedCountries) {
-      const mappedA3 = mapA2toA3.get(visitedA2) || manualA2ToA3[visitedA2];
-      if (mappedA3 === a3) return true;
-    }
+    return getVisitedCountryCode(feature) !== null;
+  }
 
-    return false;
+  function getCountryStyle(feature: any, colors: ReturnType<typeof getMapColors>): L.PathOptions {
+    let fill: string | null = null;
+    if (choropleth) {
+      const code = matchFeatureCountry(feature, choropleth.codes);
+      const count = code ? choropleth.counts.get(code) || 0 : 0;
+      const bucket = choropleth.buckets.findIndex(b => count >= b.min && count <= b.max);
+      if (bucket >= 0) fill = choropleth.fills[bucket];
+    } else if (isVisitedFeature(feature)) {
+      fill = colors.visitedFill;
+    }
+    return {
+      color: colors.borderColor,
+      weight: 1,
+      opacity: 1,
+      fillColor: fill || 'rgba(255, 255, 255, 0)',
+      fillOpacity: fill ? 1 : 0
+    };
   }
 
   const availableCountries = useMemo(() => {
@@ -319,17 +511,16 @@ export default function WorldMap(props: Props) {
     for (const p of props.points || []) {
       const code = (p.countryCode || '').toUpperCase();
       if (!code) continue;
-      const name = (p.countryName || '').trim();
-      if (!map.has(code)) map.set(code, name || code);
+      if (!map.has(code)) map.set(code, getPointCountryName(p, locale) || code);
     }
     return Array.from(map.entries())
       .map(([code, name]) => ({ code, name }))
-      .sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
-  }, [props.points]);
+      .sort((a, b) => a.name.localeCompare(b.name, locale, { sensitivity: 'base' }));
+  }, [props.points, locale]);
 
   // Stats for the UI
   const stats = useMemo(() => {
-    const points = props.points || [];
+    const points = timelinePoints;
     const countriesSet = new Set<string>();
     let withPostcards = 0;
     let total = 0;
@@ -346,17 +537,17 @@ export default function WorldMap(props: Props) {
       places: total,
       postcards: withPostcards
     };
-  }, [props.points]);
+  }, [timelinePoints]);
 
   // Places grouped by country for the list panel
   const placesGrouped = useMemo(() => {
-    const points = props.points || [];
+    const points = timelinePoints;
     const withPostcards: Record<string, Array<{city: string; postcardId: string | null}>> = {};
     const withoutPostcards: Record<string, Array<{city: string; postcardId: string | null}>> = {};
 
     for (const p of points) {
       if (!Number.isFinite(p?.lat) || !Number.isFinite(p?.lng)) continue;
-      const country = p.countryName || p.countryCode || 'Unknown';
+      const country = getPointCountryName(p, locale) || p.countryCode || 'Unknown';
       const item = { city: p.city || 'Unknown', postcardId: p.postcardId || null };
       if (p.postcardId) {
         if (!withPostcards[country]) withPostcards[country] = [];
@@ -370,7 +561,7 @@ export default function WorldMap(props: Props) {
     // Sort countries and cities
     const sortCountries = (obj: typeof withPostcards) => {
       return Object.keys(obj)
-        .sort((a, b) => a.localeCompare(b))
+        .sort((a, b) => a.localeCompare(b, locale))
         .map(country => ({
           country,
           cities: obj[country].sort((a, b) => a.city.localeCompare(b.city))
@@ -381,14 +572,42 @@ export default function WorldMap(props: Props) {
       withPostcards: sortCountries(withPostcards),
       withoutPostcards: sortCountries(withoutPostcards)
     };
-  }, [props.points]);
+  }, [timelinePoints, locale]);
+
+  // Drill-down list for the selected country
+  const selectedCountry = useMemo(
+    () => (countryFilter ? availableCountries.find(c => c.code === countryFilter) || null : null),
+    [countryFilter, availableCountries]
+  );
+
+  const countryPlaces = useMemo(() => {
+    if (!countryFilter) return [];
+    return timelinePoints
+      .filter(p => Number.isFinite(p?.lat) && Number.isFinite(p?.lng))
+      .filter(p => (p.countryCode || '').toUpperCase() === countryFilter)
+      .map(point => {
+        const postcardId = (point.postcardId || '').trim();
+        return { point, postcard: postcardId ? postcardsById.get(postcardId) || null : null };
+      })
+      .sort((a, b) => Number(Boolean(b.postcard)) - Number(Boolean(a.postcard)) || a.point.city.localeCompare(b.point.city));
+  }, [countryFilter, timelinePoints, postcardsById]);
+
+  const focusPlace = useCallback((point: TravelPoint) => {
+    const map = mapRef.current;
+    if (!map) return;
+    setPlacesListOpen(false);
+    // Without animation the zoomend re-clustering runs right away, so the marker is on the map.
+    map.setView([point.lat, point.lng], map.getMaxZoom(), { animate: false });
+    const entry = markersRef.current.find(e => e.point.id === point.id);
+    if (entry && map.hasLayer(entry.marker)) entry.marker.openPopup();
+  }, []);
 
-  // Zoom to country bounds when filter changes
+  // Zoom to country bounds
   const zoomToCountry = useCallback((countryCode: string) => {
     const map = mapRef.current;
     if (!map || !countryCode) {
       // Reset to world view
-      map?.setView([20, 0], 2);
+      map?.setView([WORLD_VIEW.lat, WORLD_VIEW.lng], WORLD_VIEW.zoom);
       return;
     }
 
@@ -399,22 +618,46 @@ export default function WorldMap(props: Props) {
     map.fitBounds(bounds, { padding: [50, 50], maxZoom: 6 });
   }, []);
 
+  // Zooming happens here rather than in an effect, so a view restored from the URL is not overridden.
+  const selectCountry = useCallback((countryCode: string) => {
+    setCountryFilter(countryCode);
+    zoomToCountry(countryCode);
+  }, [zoomToCountry]);
+
+  /** Opens a place's popup, zooming in first when its marker sits inside a cluster. */
+  const openPlace = useCallback((placeId: string) => {
+    const map = mapRef.current;
+    const entry = markersRef.current.find(e => e.point.id === placeId);
+    if (!map || !entry) return;
+    if (!map.hasLayer(entry.marker)) {
+      map.setView(entry.marker.getLatLng(), map.getMaxZoom(), { animate: false });
+    }
+    // Still hidden when the layer toggles or the timeline leave it out.
+    if (map.hasLayer(entry.marker)) entry.marker.openPopup();
+  }, []);
+
+  const togglePlaying = useCallback(() => {
+    if (playing) {
+      setPlaying(false);
+      return;
+    }
+    if (!timelineYears) return;
+    // Start over from the first year unless paused halfway.
+    if (timelineYear === null || timelineYear >= timelineYears.max) setTimelineYear(timelineYears.min);
+    setPlaying(true);
+  }, [playing, timelineYear, timelineYears]);
+
+  const showAllYears = useCallback(() => {
+    setPlaying(false);
+    setTimelineYear(null);
+  }, []);
+
   const resetView = useCallback(() => {
     setCountryFilter('');
-    mapRef.current?.setView([20, 0], 2);
+    mapRef.current?.setView([WORLD_VIEW.lat, WORLD_VIEW.lng], WORLD_VIEW.zoom);
     setPanelOpen(false);
   }, []);
 
-  // Hard-coded A2->A3 for countries with -99 in Natural Earth
-  const manualA2ToA3: Record<string, string> = {
-    RS: 'SRB', // Serbia
-    XK: 'XKX', // Kosovo (not in all datasets)
-    TW: 'TWN', // Taiwan
-    PS: 'PSE', // Palestine
-    EH: 'ESH', // Western Sahara
-    SS: 'SSD', // South Sudan
-  };
-
   function applyMarkerVisibility() {
     const map = mapRef.current;
     const withLayer = withPostcardsLayerRef.current;
@@ -445,16 +688,96 @@ export default function WorldMap(props: Props) {
     withLayer.clearLayers();
     missingLayer.clearLayers();
 
+    const withEntries: MarkerEntry[] = [];
+    const missingEntries: MarkerEntry[] = [];
     for (const entry of markersRef.current) {
       if (countryFilter && entry.countryCode !== countryFilter) continue;
-      if (entry.hasPostcard) {
-        if (showWithPostcards) withLayer.addLayer(entry.marker);
-      } else {
-        if (showMissingPostcards) missingLayer.addLayer(entry.marker);
+      if (!timelinePointIds.has(entry.point.id)) continue;
+      (entry.hasPostcard ? withEntries : missingEntries).push(entry);
+    }
+
+    // Each layer is clustered on its own so bubbles keep the with/without postcard split.
+    if (showWithPostcards) addClusteredMarkers(withLayer, withEntries, 'filled');
+    if (showMissingPostcards) addClusteredMarkers(missingLayer, missingEntries, 'outline');
+  }
+
+  function addClusteredMarkers(layer: L.LayerGroup, entries: MarkerEntry[], kind: 'filled' | 'outline') {
+    const map = mapRef.current;
+    if (!map) return;
+
+    const zoom = map.getZoom();
+    if (zoom > CLUSTER_MAX_ZOOM) {
+      for (const entry of entries) layer.addLayer(entry.marker);
+      return;
+    }
+
+    const clusters = clusterPoints(
+      entries,
+      entry => [entry.point.lat, entry.point.lng],
+      latLng => map.project(latLng, zoom),
+      CLUSTER_RADIUS_PX
+    );
+    for (const cluster of clusters) {
+      if (cluster.items.length === 1) {
+        layer.addLayer(cluster.items[0].marker);
+        continue;
       }
+
+      const count = cluster.items.length;
+      const cities = cluster.items.map(entry => entry.point.city);
+      const marker = L.marker([cluster.lat, cluster.lng], {
+        icon: makeClusterIcon(count, kind),
+        keyboard: true,
+        title: tPlural(locale, 'map.stats.places', count)
+      });
+      marker.bindTooltip(cities.length > 6 ? `${cities.slice(0, 6).join(', ')} +${cities.length - 6}` : cities.join(', '), {
+        direction: 'bottom',
+        offset: [0, 6],
+        opacity: 1,
+        className: 'map-hover-tooltip-simple'
+      });
+      // Zoom to the places in the bubble, far enough for it to split up.
+      marker.on('click', () => {
+        const bounds = L.latLngBounds(cluster.items.map(entry => [entry.point.lat, entry.point.lng]));
+        map.fitBounds(bounds, { padding: [60, 60], maxZoom: CLUSTER_MAX_ZOOM + 1 });
+      });
+      layer.addLayer(marker);
     }
   }
 
+  // Leaflet handlers are bound once; these refs let them see the latest state.
+  const applyMarkerVisibilityRef = useRef(applyMarkerVisibility);
+  applyMarkerVisibilityRef.current = applyMarkerVisibility;
+
+  const countryClickRef = useRef<(feature: any) => void>(() => {});
+  countryClickRef.current = feature => {
+    const code = getVisitedCountryCode(feature);
+    if (!code) return;
+    selectCountry(code);
+    setPlacesListOpen(true);
+  };
+
+  const urlState: MapUrlState = {
+    view: null,
+    country: countryFilter,
+    place: openPlaceId,
+    showVisitedPoints,
+    showWithPostcards,
+    showMissingPostcards,
+    showUndated,
+    shading: shadingMode,
+    year: timelineYear,
+    onlyThisYear
+  };
+
+  const syncUrlRef = useRef<(push: boolean) => void>(() => {});
+  syncUrlRef.current = push => {
+    const map = mapRef.current;
+    if (!map) return;
+    const center = map.getCenter().wrap();
+    writeMapUrl({ ...urlState, view: { lat: center.lat, lng: center.lng, zoom: map.getZoom() } }, push);
+  };
+
   async function loadCountriesLayer() {
     const map = mapRef.current;
     if (!map) return;
@@ -468,20 +791,6 @@ export default function WorldMap(props: Props) {
       if (!res.ok) throw new Error(`GeoJSON request failed: ${res.status}`);
       const geojson = await res.json();
 
-      // Build A2->A3 mapping from the file itself.
-      try {
-        const a2ToA3Map = new Map<string, string>();
-        const features: any[] = Array.isArray(geojson?.features) ? geojson.features : [];
-        for (const f of features) {
-          const a2 = getCountryA2FromFeature(f);
-          const a3 = getCountryA3FromFeature(f);
-          if (a2 && a3 && !a2ToA3Map.has(a2)) a2ToA3Map.set(a2, a3);
-        }
-        countryA2ToA3Ref.current = a2ToA3Map;
-      } catch {
-        countryA2ToA3Ref.current = new Map();
-      }
-
       if (countriesLayerRef.current) {
         countriesLayerRef.current.remove();
         countriesLayerRef.current = null;
@@ -490,16 +799,11 @@ export default function WorldMap(props: Props) {
       const colors = getMapColors();
       const layer = L.geoJSON(geojson, {
         filter: feature => !isAntarcticaFeature(feature),
-        style: feature => {
-          const visited = isVisitedFeature(feature);
-          return {
-            color: colors.borderColor,
-            weight: 1,
-            opacity: 1,
-            fillColor: visited ? colors.visitedFill : 'rgba(255, 255, 255, 0)',
-            fillOpacity: visited ? 1 : 0
-          };
-        }
+        // Clicking a visited country drills down to its places.
+        onEachFeature: (feature, featureLayer) => {
+          featureLayer.on('click', () => countryClickRef.current(feature));
+        },
+        style: feature => getCountryStyle(feature, colors)
       });
 
       layer.addTo(map);
@@ -525,7 +829,8 @@ export default function WorldMap(props: Props) {
     });
 
     // Minimalist: no raster tiles by default (only borders + markers).
-    map.setView([20, 0], 2);
+    const initialView = initialUrlState.view || WORLD_VIEW;
+    map.setView([initialView.lat, initialView.lng], initialView.zoom);
 
     mapRef.current = map;
 
@@ -612,6 +917,9 @@ export default function WorldMap(props: Props) {
           });
         }
 
+        marker.on('popupopen', () => setOpenPlaceId(point.id));
+        marker.on('popupclose', () => setOpenPlaceId(current => (current === point.id ? '' : current)));
+
         return {
           point,
           marker,
@@ -622,8 +930,14 @@ export default function WorldMap(props: Props) {
 
     markersRef.current = entries;
 
+    // Clusters depend on the zoom level.
+    map.on('zoomend', () => applyMarkerVisibilityRef.current());
+    // Panning and zooming update the current history entry instead of adding new ones.
+    map.on('moveend', () => syncUrlRef.current(false));
+
     loadCountriesLayer();
     applyMarkerVisibility();
+    if (!initialUrlState.view && initialUrlState.country) zoomToCountry(initialUrlState.country);
 
     return () => {
       map.remove();
@@ -638,26 +952,77 @@ export default function WorldMap(props: Props) {
 
   useEffect(() => {
     applyMarkerVisibility();
-    zoomToCountry(countryFilter);
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [showVisitedPoints, showWithPostcards, showMissingPostcards, countryFilter]);
+  }, [showVisitedPoints, showWithPostcards, showMissingPostcards, countryFilter, timelinePointIds]);
+
+  // A place from the URL opens once its marker has been placed for the current filters.
+  useEffect(() => {
+    if (!pendingPlaceRef.current) return;
+    openPlace(pendingPlaceRef.current);
+    pendingPlaceRef.current = '';
+  });
+
+  // Skipped on mount: the URL already describes the initial state.
+  const urlSyncedRef = useRef(false);
+  useEffect(() => {
+    if (!urlSyncedRef.current) {
+      urlSyncedRef.current = true;
+      return;
+    }
+    const previous = readMapUrlState();
+    const opensPlace = Boolean(openPlaceId) && openPlaceId !== previous.place;
+    syncUrlRef.current(opensPlace || historyKey(previous) !== historyKey(urlState));
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [countryFilter, openPlaceId, showVisitedPoints, showWithPostcards, showMissingPostcards, showUndated, shadingMode, timelineYear, onlyThisYear]);
+
+  // Back/forward: put the map back into the state of that history entry.
+  useEffect(() => {
+    const handlePopState = () => {
+      const state = readMapUrlState();
+      setCountryFilter(state.country);
+      setShowVisitedPoints(state.showVisitedPoints);
+      setShowWithPostcards(state.showWithPostcards);
+      setShowMissingPostcards(state.showMissingPostcards);
+      setShowUndated(state.showUndated);
+      setShadingMode(state.shading);
+      setPlaying(false);
+      setTimelineYear(state.year);
+      setOnlyThisYear(state.onlyThisYear);
+
+      const map = mapRef.current;
+      if (!map) return;
+      map.closePopup();
+      if (state.view) {
+        map.setView([state.view.lat, state.view.lng], state.view.zoom, { animate: false });
+      } else {
+        zoomToCountry(state.country);
+      }
+      pendingPlaceRef.current = state.place;
+      setOpenPlaceId(state.place);
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [zoomToCountry]);
+
+  useEffect(() => {
+    if (!playing || !timelineYears) return;
+    if (timelineYear !== null && timelineYear >= timelineYears.max) {
+      setPlaying(false);
+      return;
+    }
+    const timer = window.setTimeout(() => {
+      setTimelineYear(year => (year === null ? timelineYears.min : year + 1));
+    }, TIMELINE_STEP_MS);
+    return () => window.clearTimeout(timer);
+  }, [playing, timelineYear, timelineYears]);
 
   useEffect(() => {
-    // Re-style countries if visited countries set changed.
+    // Re-style countries if the visited set or the choropleth changed.
     if (countriesLayerRef.current) {
       const colors = getMapColors();
-      countriesLayerRef.current.setStyle(feature => {
-        const visited = isVisitedFeature(feature);
-        return {
-          color: colors.borderColor,
-          weight: 1,
-          opacity: 1,
-          fillColor: visited ? colors.visitedFill : 'rgba(255, 255, 255, 0)',
-          fillOpacity: visited ? 1 : 0
-        };
-      });
+      countriesLayerRef.current.setStyle(feature => getCountryStyle(feature, colors));
     }
-  }, [visitedCountries]);
+  }, [visitedCountries, choropleth]);
 
   return (
     <section className="relative h-full w-full">
@@ -762,7 +1127,7 @@ export default function WorldMap(props: Props) {
             <select
               className="rounded-md border border-[var(--border-panel)] bg-[var(--surface-tonal)] px-2 py-1"
               value={countryFilter}
-              onChange={e => setCountryFilter(e.currentTarget.value)}
+              onChange={e => selectCountry(e.currentTarget.value)}
               disabled={!showVisitedPoints}
             >
               <option value="">{t(locale, 'map.filters.allCountries')}</option>
@@ -775,6 +1140,24 @@ export default function WorldMap(props: Props) {
           </label>
         </div>
 
+        {/* Country shading */}
+        <div className="mt-3 flex items-center gap-2 text-sm">
+          <label className="inline-flex items-center gap-2">
+            <span className="text-muted">{t(locale, 'map.shading.label')}</span>
+            <select
+              className="rounded-md border border-[var(--border-panel)] bg-[var(--surface-tonal)] px-2 py-1"
+              value={shadingMode}
+              onChange={e => setShadingMode(e.currentTarget.value as ShadingMode)}
+            >
+              {SHADING_MODES.filter(mode => mode !== 'received' || (props.receivedCountries || []).length > 0).map(mode => (
+                <option key={mode} value={mode}>
+                  {t(locale, `map.shading.${mode}`)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+
         {/* Legend */}
         <div className="mt-3 flex items-center gap-4 border-t border-[var(--border-panel)] pt-3 text-xs text-muted">
           <div className="flex items-center gap-1.5">
@@ -787,6 +1170,21 @@ export default function WorldMap(props: Props) {
           </div>
         </div>
 
+        {choropleth && (
+          <div className="mt-2 flex flex-wrap items-center gap-x-3 gap-y-1 text-xs text-muted">
+            {choropleth.buckets.length === 0 ? (
+              <span>{t(locale, 'map.shading.empty')}</span>
+            ) : (
+              choropleth.buckets.map((bucket, i) => (
+                <div key={i} className="flex items-center gap-1.5">
+                  <span className="map-swatch" style={{ background: choropleth.fills[i] }} />
+                  <span className="tabular-nums">{bucket.min === bucket.max ? bucket.min : `${bucket.min}–${bucket.max}`}</span>
+                </div>
+              ))
+            )}
+          </div>
+        )}
+
         {countriesStatus === 'missing' && (
           <div className="mt-2 text-xs text-muted">
             Countries layer missing: place <code>public/geo/countries.geojson</code>
@@ -794,6 +1192,77 @@ export default function WorldMap(props: Props) {
         )}
       </div>
 
+      {/* Timeline - only when some places have a visit date */}
+      {timelineYears && (
+        <div className="absolute bottom-16 left-4 right-4 z-[1200] rounded-lg border border-[var(--border-panel)] bg-[var(--surface-header)] p-3 text-sm text-primary backdrop-blur md:bottom-4 md:left-1/2 md:right-auto md:w-[480px] md:-translate-x-1/2">
+          <div className="flex items-center gap-3">
+            <button
+              type="button"
+              onClick={togglePlaying}
+              className="flex h-8 w-8 flex-shrink-0 items-center justify-center rounded-md border border-[var(--border-panel)] bg-[var(--surface-tonal)] hover:bg-[var(--surface-sidebar-hover)]"
+              aria-label={t(locale, playing ? 'map.timeline.pause' : 'map.timeline.play')}
+              title={t(locale, playing ? 'map.timeline.pause' : 'map.timeline.play')}
+            >
+              {playing ? (
+                <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                  <rect x="6" y="4" width="4" height="16" rx="1" /><rect x="14" y="4" width="4" height="16" rx="1" />
+                </svg>
+              ) : (
+                <svg xmlns="http://www.w3.org/2000/svg" width="14" height="14" viewBox="0 0 24 24" fill="currentColor">
+                  <polygon points="6 4 20 12 6 20 6 4" />
+                </svg>
+              )}
+            </button>
+            <span className="w-16 flex-shrink-0 font-semibold tabular-nums">
+              {timelineYear ?? t(locale, 'map.timeline.allYears')}
+            </span>
+            <input
+              type="range"
+              className="map-timeline-range flex-1"
+              min={timelineYears.min}
+              max={timelineYears.max}
+              step={1}
+              value={timelineYear ?? timelineYears.max}
+              onChange={e => {
+                setPlaying(false);
+                setTimelineYear(Number(e.currentTarget.value));
+              }}
+              aria-label={t(locale, 'map.timeline.label')}
+            />
+            {timelineYear !== null && (
+              <button
+                type="button"
+                onClick={showAllYears}
+                className="flex-shrink-0 text-xs text-muted hover:text-primary"
+              >
+                {t(locale, 'map.timeline.allYears')}
+              </button>
+            )}
+          </div>
+          <div className="mt-2 flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-muted">
+            <span className="tabular-nums">{timelineYears.min} – {timelineYears.max}</span>
+            <label className="inline-flex items-center gap-1.5">
+              <input
+                type="checkbox"
+                checked={onlyThisYear}
+                onChange={e => setOnlyThisYear(e.currentTarget.checked)}
+                disabled={timelineYear === null}
+              />
+              <span>{t(locale, 'map.timeline.onlyThisYear')}</span>
+            </label>
+            <label className="inline-flex items-center gap-1.5">
+              <input
+                type="checkbox"
+                checked={showUndated}
+                onChange={e => setShowUndated(e.currentTarget.checked)}
+                disabled={timelineYear === null}
+              />
+              <span>{t(locale, 'map.timeline.showUndated')}</span>
+            </label>
+          </div>
+        </div>
+      )}
+
       {/* Backdrop for mobile panel */}
       {panelOpen && (
         <div
@@ -825,7 +1294,7 @@ export default function WorldMap(props: Props) {
       `}>
         {/* Header */}
         <div className="flex items-center justify-between border-b border-[var(--border-panel)] p-3">
-          <h3 className="font-semibold text-primary">{t(locale, 'map.placesList.title')}</h3>
+          <h3 className="font-semibold text-primary">{selectedCountry ? selectedCountry.name : t(locale, 'map.placesList.title')}</h3>
           <button
             type="button"
             onClick={() => setPlacesListOpen(false)}
@@ -839,49 +1308,97 @@ export default function WorldMap(props: Props) {
 
         {/* Scrollable content */}
         <div className="flex-1 overflow-y-auto p-3 text-sm">
-          {/* With postcards */}
-          <details open className="mb-4">
-            <summary className="mb-2 cursor-pointer font-medium text-primary">
-              {t(locale, 'map.placesList.withPostcards')} ({stats.postcards})
-            </summary>
-            <div className="space-y-3 pl-2">
-              {placesGrouped.withPostcards.map(group => (
-                <div key={group.country}>
-                  <div className="text-xs font-semibold text-muted">{group.country}</div>
-                  <ul className="mt-1 space-y-0.5">
-                    {group.cities.map((place, i) => (
-                      <li key={i} className="flex items-center gap-1.5 text-primary">
-                        <span className="map-marker map-marker--filled inline-block flex-shrink-0" style={{width: '8px', height: '8px'}} />
-                        <span>{place.city}</span>
-                      </li>
-                    ))}
-                  </ul>
+          {selectedCountry ? (
+            <>
+              <button
+                type="button"
+                onClick={() => selectCountry('')}
+                className="mb-2 text-xs text-muted hover:text-primary"
+              >
+                ← {t(locale, 'map.placesList.allCountries')}
+              </button>
+              <div className="mb-3 text-xs text-muted">
+                {tPlural(locale, 'map.stats.places', countryPlaces.length)} • {tPlural(locale, 'map.stats.postcards', countryPlaces.filter(place => place.postcard).length)}
+              </div>
+              <ul className="space-y-1">
+                {countryPlaces.map(({ point, postcard }) => (
+                  <li key={point.id}>
+                    <button
+                      type="button"
+                      onClick={() => focusPlace(point)}
+                      className="flex w-full items-center gap-3 rounded-md p-1.5 text-left hover:bg-[var(--surface-sidebar-hover)]"
+                      title={t(locale, 'map.placesList.showOnMap')}
+                    >
+                      {postcard ? (
+                        <img
+                          src={postcard.thumbUrl}
+                          alt=""
+                          loading="lazy"
+                          className="h-12 w-16 flex-shrink-0 rounded border border-[var(--border-panel)] object-cover"
+                        />
+                      ) : (
+                        <span className="flex h-12 w-16 flex-shrink-0 items-center justify-center rounded border border-dashed border-[var(--border-panel)]">
+                          <span className="map-marker map-marker--outline inline-block" />
+                        </span>
+                      )}
+                      <span className="min-w-0">
+                        <span className="block truncate text-primary">{point.city}</span>
+                        <span className="block truncate text-xs text-muted">
+                          {[formatVisit(point.visited), postcard ? postcard.title : t(locale, 'map.legend.noPostcard')].filter(Boolean).join(' • ')}
+                        </span>
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          ) : (
+            <>
+              {/* With postcards */}
+              <details open className="mb-4">
+                <summary className="mb-2 cursor-pointer font-medium text-primary">
+                  {t(locale, 'map.placesList.withPostcards')} ({stats.postcards})
+                </summary>
+                <div className="space-y-3 pl-2">
+                  {placesGrouped.withPostcards.map(group => (
+                    <div key={group.country}>
+                      <div className="text-xs font-semibold text-muted">{group.country}</div>
+                      <ul className="mt-1 space-y-0.5">
+                        {group.cities.map((place, i) => (
+                          <li key={i} className="flex items-center gap-1.5 text-primary">
+                            <span className="map-marker map-marker--filled inline-block flex-shrink-0" style={{width: '8px', height: '8px'}} />
+                            <span>{place.city}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
                 </div>
-              ))}
-            </div>
-          </details>
-
-          {/* Without postcards */}
-          <details className="mb-4">
-            <summary className="mb-2 cursor-pointer font-medium text-primary">
-              {t(locale, 'map.placesList.withoutPostcards')} ({stats.places - stats.postcards})
-            </summary>
-            <div className="space-y-3 pl-2">
-              {placesGrouped.withoutPostcards.map(group => (
-                <div key={group.country}>
-                  <div className="text-xs font-semibold text-muted">{group.country}</div>
-                  <ul className="mt-1 space-y-0.5">
-                    {group.cities.map((place, i) => (
-                      <li key={i} className="flex items-center gap-1.5 text-primary">
-                        <span className="map-marker map-marker--outline inline-block flex-shrink-0" style={{width: '8px', height: '8px'}} />
-                        <span>{place.city}</span>
-                      </li>
-                    ))}
-                  </ul>
+              </details>
+
+              {/* Without postcards */}
+              <details className="mb-4">
+                <summary className="mb-2 cursor-pointer font-medium text-primary">
+                  {t(locale, 'map.placesList.withoutPostcards')} ({stats.places - stats.postcards})
+                </summary>
+                <div className="space-y-3 pl-2">
+                  {placesGrouped.withoutPostcards.map(group => (
+                    <div key={group.country}>
+                      <div className="text-xs font-semibold text-muted">{group.country}</div>
+                      <ul className="mt-1 space-y-0.5">
+                        {group.cities.map((place, i) => (
+                          <li key={i} className="flex items-center gap-1.5 text-primary">
+                            <span className="map-marker map-marker--outline inline-block flex-shrink-0" style={{width: '8px', height: '8px'}} />
+                            <span>{place.city}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  ))}
                 </div>
-              ))}
-            </div>
-          </details>
+              </details>
+            </>
+          )}
         </div>
       </div>
 
@@ -912,7 +1429,41 @@ export default function WorldMap(props: Props) {
           to { transform: rotate(360deg); }
         }
 
+        .map-swatch {
+          display: inline-block;
+          width: 16px;
+          height: 10px;
+          border-radius: 3px;
+          border: 1px solid var(--border-panel);
+        }
+
+        .map-timeline-range {
+          accent-color: var(--accent);
+          min-width: 0;
+        }
+
         .map-marker-icon { background: transparent; border: 0; }
+        .map-cluster {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          border-radius: 999px;
+          font-size: 12px;
+          font-weight: 700;
+          font-variant-numeric: tabular-nums;
+          box-shadow: 0 0 0 4px rgba(0, 0, 0, 0.06), 0 1px 2px rgba(0, 0, 0, 0.12);
+          cursor: pointer;
+        }
+        .map-cluster--filled {
+          background: var(--accent);
+          border: 1px solid var(--accent);
+          color: var(--paper);
+        }
+        .map-cluster--outline {
+          background: var(--paper);
+          border: 2px solid var(--accent);
+          color: var(--text-primary);
+        }
         .map-marker {
           display: inline-block;
           width: 12px;
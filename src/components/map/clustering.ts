@@ -0,0 +1,59 @@
+export type PointCluster<T> = {
+  items: T[];
+  lat: number; // mean of the items' coordinates
+  lng: number;
+};
+
+type Seed<T> = PointCluster<T> & { x: number; y: number };
+
+/**
+ * Greedy clustering in screen pixels: each item joins the nearest cluster
+ * whose first item lies within `radius`, otherwise it starts a new one.
+ * Clusters are bucketed on a grid of `radius`-sized cells, so only the
+ * neighbouring cells are compared. Input order decides the seeds, which keeps
+ * the result stable between renders.
+ */
+export function clusterPoints<T>(
+  items: T[],
+  getLatLng: (item: T) => [number, number],
+  project: (latLng: [number, number]) => { x: number; y: number },
+  radius: number
+): PointCluster<T>[] {
+  const clusters: Seed<T>[] = [];
+  const grid = new Map<string, number[]>();
+
+  for (const item of items) {
+    const [lat, lng] = getLatLng(item);
+    const { x, y } = project([lat, lng]);
+    const cellX = Math.floor(x / radius);
+    const cellY = Math.floor(y / radius);
+
+    let target = -1;
+    let nearest = Infinity;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const index of grid.get(`${cellX + dx}:${cellY + dy}`) ?? []) {
+          const distance = Math.hypot(clusters[index].x - x, clusters[index].y - y);
+          if (distance <= radius && distance < nearest) {
+            nearest = distance;
+            target = index;
+          }
+        }
+      }
+    }
+
+    if (target === -1) {
+      const key = `${cellX}:${cellY}`;
+      grid.set(key, [...(grid.get(key) ?? []), clusters.length]);
+      clusters.push({ items: [item], lat, lng, x, y });
+      continue;
+    }
+
+    const cluster = clusters[target];
+    cluster.items.push(item);
+    cluster.lat += (lat - cluster.lat) / cluster.items.length;
+    cluster.lng += (lng - cluster.lng) / cluster.items.length;
+  }
+
+  return clusters.map(({ items: clusterItems, lat, lng }) => ({ items: clusterItems, lat, lng }));
+}
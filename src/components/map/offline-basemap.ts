@@ -0,0 +1,176 @@
+import type * as Leaflet from 'leaflet';
+
+type LeafletModule = typeof Leaflet;
+
+export type BasemapMode = 'tiles' | 'offline';
+
+export type BasemapLabel = {
+  text: string;
+  lat: number;
+  lng: number;
+};
+
+export const BASEMAP_STORAGE_KEY = 'travel-map-basemap';
+// `?basemap=offline` forces a mode, e.g. for screenshots taken without network access.
+const BASEMAP_PARAM = 'basemap';
+// Below the route/marker overlays (400+), above where tiles would sit (200).
+const BASEMAP_PANE = 'offlineBasemap';
+const LABEL_PANE = 'offlineBasemapLabels';
+
+function isBasemapMode(value: unknown): value is BasemapMode {
+  return value === 'tiles' || value === 'offline';
+}
+
+/**
+ * The mode to start in: the URL parameter, then the visitor's last choice,
+ * then `offline` when the browser already knows it has no connection.
+ */
+export function initialBasemapMode(): BasemapMode {
+  if (typeof window === 'undefined') return 'tiles';
+  const fromUrl = new URLSearchParams(window.location.search).get(BASEMAP_PARAM);
+  if (isBasemapMode(fromUrl)) return fromUrl;
+  try {
+    const stored = localStorage.getItem(BASEMAP_STORAGE_KEY);
+    if (isBasemapMode(stored)) return stored;
+  } catch {
+    // Storage can be blocked; fall through to the defaults.
+  }
+  return navigator.onLine === false ? 'offline' : 'tiles';
+}
+
+export function saveBasemapMode(mode: BasemapMode) {
+  try {
+    localStorage.setItem(BASEMAP_STORAGE_KEY, mode);
+  } catch {
+    // Not remembering the choice is fine.
+  }
+}
+
+export function isDarkTheme(): boolean {
+  const root = document.documentElement;
+  return root.classList.contains('dark') || !root.classList.contains('light');
+}
+
+let countriesRequest: Promise<any> | null = null;
+
+/** Fetches the bundled countries GeoJSON once per page; a failed request is retried next time. */
+export function loadCountries(baseUrl: string): Promise<any> {
+  countriesRequest ??= fetch(`${baseUrl}geo/countries.geojson?v=1`)
+    .then((res) => {
+      if (!res.ok) throw new Error(`countries.geojson: HTTP ${res.status}`);
+      return res.json();
+    })
+    .catch((error) => {
+      countriesRequest = null;
+      throw error;
+    });
+  return countriesRequest;
+}
+
+function ensurePane(map: Leaflet.Map, name: string, zIndex: number) {
+  const pane = map.getPane(name) ?? map.createPane(name);
+  pane.style.zIndex = String(zIndex);
+  pane.style.pointerEvents = 'none';
+}
+
+// SVG paint attributes cannot use CSS variables, so the theme colours are resolved when the layer is built.
+function basemapColors() {
+  const styles = getComputedStyle(document.documentElement);
+  const read = (name: string, fallback: string) => styles.getPropertyValue(name).trim() || fallback;
+  return {
+    land: read('--surface-card', '#1e2a21'),
+    border: read('--border-card-strong', 'rgba(158, 181, 137, 0.35)'),
+    label: read('--text-muted', '#a3ab98'),
+    halo: read('--paper', '#0f1510'),
+  };
+}
+
+/**
+ * A basemap drawn only from local data: the country polygons (their outlines
+ * double as coastlines) and, optionally, text labels for the given places.
+ * The sea is whatever background the map container has.
+ */
+export function createOfflineBasemap(
+  L: LeafletModule,
+  map: Leaflet.Map,
+  countries: any,
+  labels: BasemapLabel[] = []
+): Leaflet.LayerGroup {
+  ensurePane(map, BASEMAP_PANE, 250);
+  ensurePane(map, LABEL_PANE, 450);
+  const colors = basemapColors();
+
+  const group = L.layerGroup();
+  L.geoJSON(countries, {
+    pane: BASEMAP_PANE,
+    interactive: false,
+    style: () => ({
+      color: colors.border,
+      weight: 0.8,
+      fillColor: colors.land,
+      fillOpacity: 1,
+    }),
+  }).addTo(group);
+
+  for (const label of labels) {
+    L.marker([label.lat, label.lng], {
+      pane: LABEL_PANE,
+      interactive: false,
+      keyboard: false,
+      icon: L.divIcon({
+        className: '',
+        iconSize: [0, 0],
+        html: `<span style="
+          position:absolute;left:16px;top:-7px;white-space:nowrap;
+          font:500 11px/14px var(--font-body,'Work Sans',sans-serif);
+          color:${colors.label};
+          text-shadow:0 0 2px ${colors.halo},0 0 2px ${colors.halo},0 0 3px ${colors.halo};
+        ">${escapeHtml(label.text)}</span>`,
+      }),
+    }).addTo(group);
+  }
+
+  return group;
+}
+
+function escapeHtml(text: string) {
+  return text.replace(/[&<>"']/g, (ch) => `&#${ch.charCodeAt(0)};`);
+}
+
+/**
+ * Calls `onFail` once when a tile layer is not usable: `maxErrors` tiles
+ * failed and more failed than loaded, or nothing loaded within `timeoutMs`
+ * (a connection too slow to be worth waiting for). Returns a cleanup function.
+ */
+export function watchTileFailures(
+  layer: Leaflet.TileLayer,
+  onFail: () => void,
+  { maxErrors = 4, timeoutMs = 8000 } = {}
+): () => void {
+  let loaded = 0;
+  let failed = 0;
+
+  const stop = () => {
+    clearTimeout(timer);
+    layer.off('tileload', onLoad);
+    layer.off('tileerror', onError);
+  };
+  const fail = () => {
+    stop();
+    onFail();
+  };
+  const onLoad = () => {
+    loaded++;
+  };
+  const onError = () => {
+    failed++;
+    if (failed >= maxErrors && failed > loaded) fail();
+  };
+  const timer = setTimeout(() => {
+    if (loaded === 0) fail();
+  }, timeoutMs);
+
+  layer.on('tileload', onLoad);
+  layer.on('tileerror', onError);
+  return stop;
+}
@@ -0,0 +1,53 @@
+import albumConfig from './album-config.json';
+
+const LOCALES = ['en', 'ru'];
+const entries = Array.isArray(albumConfig?.albums) ? albumConfig.albums : [];
+const entryByFolder = new Map(entries.map((entry, index) => [entry.folder, { ...entry, orderIndex: index }]));
+
+/**
+ * Config for one album, keyed by its folder below the gallery root
+ * (`Main Album` for `postcards/Main Album`). Unconfigured folders get an
+ * empty, listed entry that sorts after the configured ones.
+ */
+export function getAlbumConfig(folderId) {
+  const entry = entryByFolder.get(folderId) || {};
+  return {
+    title: entry.title || {},
+    description: entry.description || {},
+    cover: entry.cover || null,
+    visibility: entry.visibility || 'listed',
+    sort: entry.sort || 'default',
+    orderIndex: typeof entry.orderIndex === 'number' ? entry.orderIndex : null
+  };
+}
+
+/** Per-locale strings with English as the fallback; empty when nothing is set. */
+export function localizeAlbumText(values = {}, fallback = '') {
+  const en = values.en || fallback;
+  return Object.fromEntries(LOCALES.map(locale => [locale, values[locale] || en]));
+}
+
+function collectLocaleStrings(locale, pick) {
+  /** @type {Record<string, string>} */
+  const result = {};
+  for (const entry of entries) {
+    const name = entry.title?.en;
+    const value = pick(entry)?.[locale];
+    if (name && value) result[name] = value;
+  }
+  return result;
+}
+
+/**
+ * `{ [English name]: title }` for one locale, merged into the `albums` i18n
+ * namespace. Albums are looked up by their English display name, which is
+ * also what the lightbox and the swap basket carry around.
+ */
+export function getAlbumTitleLocaleLabels(locale) {
+  return collectLocaleStrings(locale, entry => entry.title);
+}
+
+/** `{ [English name]: description }` for one locale, merged into `albumDescriptions`. */
+export function getAlbumDescriptionLocaleLabels(locale) {
+  return collectLocaleStrings(locale, entry => entry.description);
+}
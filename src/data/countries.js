@@ -0,0 +1,166 @@
+/**
+ * The shared country dataset: ISO 3166-1 alpha-2 ↔ alpha-3 codes, names in
+ * the site locales from `Intl.DisplayNames`, and the other spellings met in
+ * Postcrossing pages, GeoJSON files and Cloudinary folder names. Used by the
+ * build, the map and the travel scripts.
+ */
+
+// ISO 3166-1 alpha-2 and alpha-3 pairs, plus the user-assigned XK/XKX for Kosovo.
+const ISO_CODES = `
+AD AND AE ARE AF AFG AG ATG AI AIA AL ALB AM ARM AO AGO AQ ATA AR ARG AS ASM AT AUT AU AUS AW ABW AX ALA AZ AZE
+BA BIH BB BRB BD BGD BE BEL BF BFA BG BGR BH BHR BI BDI BJ BEN BL BLM BM BMU BN BRN BO BOL BQ BES BR BRA BS BHS
+BT BTN BV BVT BW BWA BY BLR BZ BLZ
+CA CAN CC CCK CD COD CF CAF CG COG CH CHE CI CIV CK COK CL CHL CM CMR CN CHN CO COL CR CRI CU CUB CV CPV CW CUW
+CX CXR CY CYP CZ CZE
+DE DEU DJ DJI DK DNK DM DMA DO DOM DZ DZA
+EC ECU EE EST EG EGY EH ESH ER ERI ES ESP ET ETH
+FI FIN FJ FJI FK FLK FM FSM FO FRO FR FRA
+GA GAB GB GBR GD GRD GE GEO GF GUF GG GGY GH GHA GI GIB GL GRL GM GMB GN GIN GP GLP GQ GNQ GR GRC GS SGS GT GTM
+GU GUM GW GNB GY GUY
+HK HKG HM HMD HN HND HR HRV HT HTI HU HUN
+ID IDN IE IRL IL ISR IM IMN IN IND IO IOT IQ IRQ IR IRN IS ISL IT ITA
+JE JEY JM JAM JO JOR JP JPN
+KE KEN KG KGZ KH KHM KI KIR KM COM KN KNA KP PRK KR KOR KW KWT KY CYM KZ KAZ
+LA LAO LB LBN LC LCA LI LIE LK LKA LR LBR LS LSO LT LTU LU LUX LV LVA LY LBY
+MA MAR MC MCO MD MDA ME MNE MF MAF MG MDG MH MHL MK MKD ML MLI MM MMR MN MNG MO MAC MP MNP MQ MTQ MR MRT MS MSR
+MT MLT MU MUS MV MDV MW MWI MX MEX MY MYS MZ MOZ
+NA NAM NC NCL NE NER NF NFK NG NGA NI NIC NL NLD NO NOR NP NPL NR NRU NU NIU NZ NZL
+OM OMN
+PA PAN PE PER PF PYF PG PNG PH PHL PK PAK PL POL PM SPM PN PCN PR PRI PS PSE PT PRT PW PLW PY PRY
+QA QAT
+RE REU RO ROU RS SRB RU RUS RW RWA
+SA SAU SB SLB SC SYC SD SDN SE SWE SG SGP SH SHN SI SVN SJ SJM SK SVK SL SLE SM SMR SN SEN SO SOM SR SUR SS SSD
+ST STP SV SLV SX SXM SY SYR SZ SWZ
+TC TCA TD TCD TF ATF TG TGO TH THA TJ TJK TK TKL TL TLS TM TKM TN TUN TO TON TR TUR TT TTO TV TUV TW TWN TZ TZA
+UA UKR UG UGA UM UMI US USA UY URY UZ UZB
+VA VAT VC VCT VE VEN VG VGB VI VIR VN VNM VU VUT
+WF WLF WS WSM
+XK XKX
+YE YEM YT MYT
+ZA ZAF ZM ZMB ZW ZWE
+`;
+
+// Codes that are not ISO but turn up in folder names.
+const CODE_ALIASES = {
+  UK: 'GB',
+  KO: 'KR'
+};
+
+// Spellings `Intl.DisplayNames` does not produce: Postcrossing's, Natural Earth's and former names.
+const NAME_ALIASES = {
+  'u.s.a.': 'US',
+  'usa': 'US',
+  'united states of america': 'US',
+  'u.k.': 'GB',
+  'great britain': 'GB',
+  'korea (south)': 'KR',
+  'korea (north)': 'KP',
+  'republic of korea': 'KR',
+  'russian federation': 'RU',
+  'czech republic': 'CZ',
+  'republic of serbia': 'RS',
+  'the netherlands': 'NL',
+  'hong kong': 'HK',
+  'macau': 'MO',
+  'myanmar': 'MM',
+  'burma': 'MM',
+  'turkey': 'TR',
+  'ivory coast': 'CI',
+  'cape verde': 'CV',
+  'swaziland': 'SZ',
+  'macedonia': 'MK',
+  'east timor': 'TL',
+  'vatican': 'VA',
+  'dem. rep. congo': 'CD',
+  'democratic republic of the congo': 'CD',
+  'republic of the congo': 'CG',
+  'bosnia and herz.': 'BA',
+  'central african rep.': 'CF',
+  'dominican rep.': 'DO',
+  'eq. guinea': 'GQ',
+  'falkland is.': 'FK',
+  'fr. s. antarctic lands': 'TF',
+  'solomon is.': 'SB',
+  's. sudan': 'SS',
+  'w. sahara': 'EH',
+  'the bahamas': 'BS',
+  'united republic of tanzania': 'TZ',
+  'french southern and antarctic lands': 'TF',
+  'west bank': 'PS'
+};
+
+export const COUNTRY_LOCALES = ['en', 'ru'];
+
+const alpha3ByCode = new Map();
+const codeByAlpha3 = new Map();
+const isoCodes = ISO_CODES.trim().split(/\s+/);
+for (let i = 0; i < isoCodes.length; i += 2) {
+  alpha3ByCode.set(isoCodes[i], isoCodes[i + 1]);
+  codeByAlpha3.set(isoCodes[i + 1], isoCodes[i]);
+}
+
+const displayNames = new Map();
+let codeByName = null;
+
+function getDisplayNames(locale) {
+  const key = COUNTRY_LOCALES.includes(locale) ? locale : 'en';
+  if (!displayNames.has(key)) displayNames.set(key, new Intl.DisplayNames([key], { type: 'region' }));
+  return displayNames.get(key);
+}
+
+/**
+ * Lookup key for a country name: lowercase, no diacritics or punctuation, so
+ * `Côte d'Ivoire`, `U.S.A.` and `Bosnia & Herzegovina` match their variants.
+ */
+export function normalizeCountryName(name) {
+  return String(name || '')
+    .trim()
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+function getCodeByName() {
+  if (codeByName) return codeByName;
+  codeByName = new Map();
+  for (const [alias, code] of Object.entries(NAME_ALIASES)) codeByName.set(normalizeCountryName(alias), code);
+  for (const locale of COUNTRY_LOCALES) {
+    for (const code of alpha3ByCode.keys()) {
+      const key = normalizeCountryName(countryName(code, locale));
+      if (key && !codeByName.has(key)) codeByName.set(key, code);
+    }
+  }
+  return codeByName;
+}
+
+/**
+ * The alpha-2 code for an alpha-2 or alpha-3 code or a known non-ISO alias:
+ * `toCountryCode('usa')` → `US`, `toCountryCode('UK')` → `GB`; `null` otherwise.
+ */
+export function toCountryCode(value) {
+  const upper = String(value || '').trim().toUpperCase();
+  if (alpha3ByCode.has(upper)) return upper;
+  return CODE_ALIASES[upper] || codeByAlpha3.get(upper) || null;
+}
+
+/** `countryAlpha3('NL')` → `NLD`; `null` for an unknown code. */
+export function countryAlpha3(code) {
+  return alpha3ByCode.get(toCountryCode(code)) || null;
+}
+
+/** `countryCodeFromName('U.S.A.')` → `US`, in any site locale; `null` when the name is unknown. */
+export function countryCodeFromName(name) {
+  const key = normalizeCountryName(name);
+  return key ? getCodeByName().get(key) || null : null;
+}
+
+/** Name for a country code in a site locale: `countryName('KR')` → `South Korea`, `countryName('KR', 'ru')` → `Республика Корея`. */
+export function countryName(code, locale = 'en') {
+  const alpha2 = toCountryCode(code);
+  if (!alpha2) return null;
+  const name = getDisplayNames(locale).of(alpha2);
+  return name && name !== alpha2 ? name : null;
+}
@@ -0,0 +1,188 @@
+import {
+  getAlbumBySlug,
+  getPublishedAlbums,
+  getSnapshotDate,
+  getTagBySlug,
+  getTags,
+  getVisibleItems,
+  isAlbumHidden,
+  site
+} from './gallery.js';
+import { filterVisibleTags, isTagHidden } from './tag-visibility.js';
+import { absoluteUrl, basePath, escapeXml } from './site-urls.js';
+
+const FEED_LIMIT = 50;
+
+function toTime(value) {
+  const time = Date.parse(value || '');
+  return Number.isFinite(time) ? time : 0;
+}
+
+// Cards that predate the changelog fall back to their Cloudinary upload date,
+// and cards without one to when the collection was first recorded, so they
+// keep a stable date instead of dropping out of the feeds.
+export function getEntryDate(item) {
+  return item.addedAt || item.uploadedAt || item.createdAt || getSnapshotDate();
+}
+
+/**
+ * Feed descriptors, one per subscribable view. `path` is relative to the
+ * site base; the feed itself lives at `<path>feed.xml` / `<path>feed.json`.
+ * @param {'all' | 'album' | 'tag'} [kind]
+ * @param {string | null} [slug]
+ */
+export function getFeedSource(kind = 'all', slug = null) {
+  if (kind === 'album') {
+    const album = getAlbumBySlug(slug);
+    if (!album || isAlbumHidden(album)) return null;
+    return {
+      title: `${album.name} • ${site.title}`,
+      description: `New postcards in ${album.name}`,
+      path: `album/${album.slug}/`,
+      items: album.allItems
+    };
+  }
+  if (kind === 'tag') {
+    const tag = getTagBySlug(slug);
+    if (!tag || isTagHidden(tag)) return null;
+    return {
+      title: `${tag.label} • ${site.title}`,
+      description: `New postcards tagged ${tag.label}`,
+      path: `tag/${tag.slug}/`,
+      items: tag.items.filter(item => !isAlbumHidden(item.albumSlug))
+    };
+  }
+  return {
+    title: site.title,
+    description: site.description,
+    path: '',
+    items: getVisibleItems(),
+    // The whole-collection feed must never ship empty; see getFeedEntries().
+    required: true
+  };
+}
+
+export function getAlbumFeedPaths() {
+  return getPublishedAlbums().map(album => ({ params: { album: album.slug } }));
+}
+
+export function getTagFeedPaths() {
+  return getTags()
+    .filter(tag => !isTagHidden(tag))
+    .map(tag => ({ params: { tag: tag.slug } }));
+}
+
+/** `<link rel="alternate">` descriptors for a feed source, for the page head. */
+export function getFeedLinks(source) {
+  if (!source) return [];
+  return [
+    { type: 'application/atom+xml', title: source.title, href: `${basePath}${source.path}feed.xml` },
+    { type: 'application/feed+json', title: source.title, href: `${basePath}${source.path}feed.json` }
+  ];
+}
+
+function buildEntries(items, siteUrl) {
+  return items
+    .filter(item => getEntryDate(item))
+    .sort((a, b) => toTime(getEntryDate(b)) - toTime(getEntryDate(a)))
+    .slice(0, FEED_LIMIT)
+    .map(item => {
+      const tags = filterVisibleTags(Array.isArray(item.tagDetails) ? item.tagDetails : []).map(tag => tag.label);
+      const url = absoluteUrl(`${basePath}postcard/${item.id}`, siteUrl);
+      const image = item.thumbUrl ? absoluteUrl(item.thumbUrl, siteUrl) : '';
+      const html = [
+        image ? `<p><a href="${escapeXml(url)}"><img src="${escapeXml(image)}" alt="${escapeXml(item.title)}" /></a></p>` : '',
+        item.description ? `<p>${escapeXml(item.description)}</p>` : '',
+        item.author ? `<p>${escapeXml(item.author)}</p>` : '',
+        tags.length ? `<p>${tags.map(escapeXml).join(', ')}</p>` : ''
+      ].join('');
+      return {
+        url,
+        title: item.title,
+        description: item.description || '',
+        author: item.author || '',
+        tags,
+        image,
+        html,
+        date: new Date(toTime(getEntryDate(item))).toISOString()
+      };
+    });
+}
+
+function getFeedEntries(source, siteUrl) {
+  const entries = buildEntries(source.items, siteUrl);
+  if (source.required && entries.length === 0) {
+    throw new Error(`Feed "${source.title}" has no entries: no visible postcard has a date`);
+  }
+  return entries;
+}
+
+// Stable across rebuilds: the newest entry, or for an empty feed (an album
+// whose cards are all hidden) the newest card on the site.
+function feedUpdated(entries) {
+  if (entries[0]) return entries[0].date;
+  const newest = Math.max(0, ...getVisibleItems().map(item => toTime(getEntryDate(item))));
+  return new Date(newest || toTime(getSnapshotDate())).toISOString();
+}
+
+export function buildAtomFeed(source, siteUrl) {
+  const entries = getFeedEntries(source, siteUrl);
+  const pageUrl = absoluteUrl(`${basePath}${source.path}`, siteUrl);
+  const feedUrl = absoluteUrl(`${basePath}${source.path}feed.xml`, siteUrl);
+  const body = entries
+    .map(entry =>
+      [
+        '  <entry>',
+        `    <id>${escapeXml(entry.url)}</id>`,
+        `    <title>${escapeXml(entry.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(entry.url)}" />`,
+        `    <published>${entry.date}</published>`,
+        `    <updated>${entry.date}</updated>`,
+        entry.author && `    <author><name>${escapeXml(entry.author)}</name></author>`,
+        ...entry.tags.map(tag => `    <category term="${escapeXml(tag)}" />`),
+        entry.image && `    <media:thumbnail url="${escapeXml(entry.image)}" />`,
+        entry.description && `    <summary>${escapeXml(entry.description)}</summary>`,
+        `    <content type="html">${escapeXml(entry.html)}</content>`,
+        '  </entry>'
+      ]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(source.title)}</title>
+  <subtitle>${escapeXml(source.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(pageUrl)}" />
+  <updated>${feedUpdated(entries)}</updated>
+  <author><name>${escapeXml(site.title)}</name></author>
+${body}
+</feed>
+`;
+}
+
+export function buildJsonFeed(source, siteUrl) {
+  const entries = getFeedEntries(source, siteUrl);
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: source.title,
+    description: source.description,
+    home_page_url: absoluteUrl(`${basePath}${source.path}`, siteUrl),
+    feed_url: absoluteUrl(`${basePath}${source.path}feed.json`, siteUrl),
+    authors: [{ name: site.title }],
+    items: entries.map(entry => ({
+      id: entry.url,
+      url: entry.url,
+      title: entry.title,
+      content_html: entry.html,
+      ...(entry.description ? { summary: entry.description } : {}),
+      ...(entry.image ? { image: entry.image } : {}),
+      date_published: entry.date,
+      ...(entry.author ? { authors: [{ name: entry.author }] } : {}),
+      ...(entry.tags.length ? { tags: entry.tags } : {})
+    }))
+  };
+}
@@ -1,14 +1,18 @@
 import rawGallery from './gallery.json';
-import albumOrder from './album-order.json';
-import { Cloudinary } from '@cloudinary/url-gen';
-import { fill, limitFit } from '@cloudinary/url-gen/actions/resize';
-import { autoGravity } from '@cloudinary/url-gen/qualifiers/gravity';
+import galleryHistory from './gallery-history.json';
+import { createImagePresetBuilder } from './image-presets.js';
+import { getAlbumConfig, localizeAlbumText } from './album-config.js';
+import { getTagGroupId, getTagLabels, resolveTagCode } from './tag-config.js';
+import { slugify } from './site-urls.js';
 
 const galleryData = rawGallery || {};
 const dataRoot = galleryData.root || '';
 const cloudName = galleryData.cloudName || deriveCloudName(galleryData);
-const cld = cloudName ? new Cloudinary({ cloud: { cloudName } }) : null;
-const hiddenAlbumSlugs = new Set(['envelope']);
+const presets = createImagePresetBuilder(cloudName);
+const swapStatuses = ['available', 'reserved', 'swapped'];
+const historyData = galleryHistory || {};
+const addedAtById = new Map(Object.entries(historyData.addedAt || {}));
+const baseUrl = import.meta.env?.BASE_URL || '/';
 
 function deriveCloudName(data) {
   const folders = Object.values(data.folders || {});
@@ -23,16 +27,6 @@ function deriveCloudName(data) {
   return cloudNames.size === 1 ? Array.from(cloudNames)[0] : null;
 }
 
-function slugify(input = '') {
-  return (
-    input
-      .trim()
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, '-')
-      .replace(/^-+|-+$/g, '') || 'collection'
-  );
-}
-
 function escapeRegExp(value = '') {
   return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 }
@@ -56,12 +50,23 @@ function humanizeFolder(folder) {
     : 'Album';
 }
 
+// Local-folder sources store paths relative to `public/`; anchor them to the site base.
+function resolveAssetUrl(url) {
+  if (!url || /^(?:[a-z]+:)?\/\//i.test(url) || url.startsWith('/')) return url || '';
+  const baseWithSlash = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+  return `${baseWithSlash}${url}`;
+}
+
+function albumDisplayName(folder) {
+  return getAlbumConfig(cleanFolderId(folder)).title.en || humanizeFolder(folder);
+}
+
 function buildUrls(publicId, rawItem) {
-  const fallbackPreview = rawItem?.url || '';
-  const fallbackGrid = rawItem?.grid || fallbackPreview;
-  const fallbackThumb = rawItem?.thumb || fallbackPreview;
+  const fallbackPreview = resolveAssetUrl(rawItem?.url);
+  const fallbackGrid = resolveAssetUrl(rawItem?.grid) || fallbackPreview;
+  const fallbackThumb = resolveAssetUrl(rawItem?.thumb) || fallbackPreview;
 
-  if (!publicId || !cld) {
+  if (!publicId || !presets) {
     return {
       previewUrl: fallbackPreview,
       gridUrl: fallbackGrid,
@@ -69,25 +74,18 @@ function buildUrls(publicId, rawItem) {
     };
   }
 
-  const previewImage = cld.image(publicId);
-  previewImage.format('auto').quality('auto');
-  previewImage.resize(limitFit().width(1200));
-
-  const gridImage = cld.image(publicId);
-  gridImage.format('auto').quality('auto');
-  gridImage.resize(limitFit().width(720));
-
-  const thumbImage = cld.image(publicId);
-  thumbImage.format('auto').quality('auto');
-  thumbImage.resize(fill().width(480).height(360).gravity(autoGravity()));
-
   return {
-    previewUrl: previewImage.toURL(),
-    gridUrl: gridImage.toURL(),
-    thumbUrl: thumbImage.toURL()
+    previewUrl: presets.url(publicId, 'preview'),
+    gridUrl: presets.url(publicId, 'grid'),
+    thumbUrl: presets.url(publicId, 'thumb')
   };
 }
 
+function normaliseStatus(value) {
+  const status = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  return swapStatuses.includes(status) ? status : 'available';
+}
+
 function inferTitle(publicId = '') {
   const base = publicId.split('/').pop() || 'Untitled';
   return base
@@ -95,40 +93,45 @@ function inferTitle(publicId = '') {
     .replace(/\b\w/g, char => char.toUpperCase());
 }
 
-function normaliseItem(item = {}, folder) {
+function normaliseItem(item = {}, folder, album = {}) {
   const metadata = item && typeof item.metadata === 'object' && item.metadata !== null ? item.metadata : {};
   const metadataName = typeof metadata.name === 'string' ? metadata.name.trim() : '';
   const metadataDesc = typeof metadata.desc === 'string' ? metadata.desc.trim() : '';
   const metadataAuthor = typeof metadata.author === 'string' ? metadata.author.trim() : '';
   const metadataPlaceId = typeof metadata.placeId === 'string' ? metadata.placeId.trim() : '';
+  const status = normaliseStatus(metadata.status);
   const fallbackTitle = (item.title || '').trim();
   const fallbackDescription = (item.description || '').trim();
   const title = metadataName || fallbackTitle || inferTitle(item.public_id);
   const description = metadataDesc || fallbackDescription;
-  const tags = Array.isArray(item.tags) ? item.tags.filter(Boolean) : [];
+  // Aliases collapse onto their canonical code, so "dutch" and "Dutch-style" become one tag.
+  const tags = Array.isArray(item.tags) ? Array.from(new Set(item.tags.filter(Boolean).map(resolveTagCode))) : [];
   const urls = buildUrls(item.public_id, item);
   const width = Number.isFinite(Number(item.width)) ? Number(item.width) : null;
   const height = Number.isFinite(Number(item.height)) ? Number(item.height) : null;
   const aspectRatio = width && height ? Number((width / height).toFixed(5)) : null;
-  const tagDetails = tags.map(code => ({
-    code,
-    label: code,
-    slug: slugify(code)
-  }));
+  const tagDetails = tags.map(describeTag);
 
   return {
     id: item.public_id,
     folder,
+    albumSlug: album.slug ?? null,
+    albumName: album.name ?? null,
     title,
     description,
     tags,
     author: metadataAuthor,
     placeId: metadataPlaceId || null,
+    status,
+    addedAt: addedAtById.get(item.public_id) || null,
+    createdAt: item.created_at || null,
+    uploadedAt: item.uploaded_at || item.created_at || null,
     metadata: {
       name: metadataName,
       desc: metadataDesc,
       author: metadataAuthor,
-      placeId: metadataPlaceId || null
+      placeId: metadataPlaceId || null,
+      status
     },
     tagDetails,
     width,
@@ -140,6 +143,17 @@ function normaliseItem(item = {}, folder) {
   };
 }
 
+function describeTag(code) {
+  const labels = getTagLabels(code);
+  return {
+    code,
+    label: labels.en,
+    labels,
+    slug: slugify(code),
+    group: getTagGroupId(code)
+  };
+}
+
 function buildTagIndex(albums) {
   const map = new Map();
   albums.forEach(album => {
@@ -151,88 +165,145 @@ function buildTagIndex(albums) {
     });
   });
   const list = Array.from(map.entries()).map(([code, items]) => ({
-    code,
-    label: code,
-    slug: slugify(code),
+    ...describeTag(code),
     items
   }));
   list.sort((a, b) => a.label.localeCompare(b.label, undefined, { sensitivity: 'base' }));
   return { map, list };
 }
 
-const toOrderKey = (value = '') =>
-  String(value)
-    .trim()
-    .toLowerCase()
-    .replace(/[^a-z0-9]/g, '');
-
-const manualOrderList = Array.isArray(albumOrder) ? albumOrder : [];
-const manualOrderMap = new Map(
-  manualOrderList
-    .map((entry, index) => [toOrderKey(entry), index])
-);
-
-const getOrderIndex = (id, name) => {
-  const idKey = toOrderKey(id);
-  if (manualOrderMap.has(idKey)) return manualOrderMap.get(idKey);
-  const nameKey = toOrderKey(name);
-  if (manualOrderMap.has(nameKey)) return manualOrderMap.get(nameKey);
-  return null;
-};
-
-function isAlbumHiddenInternal(album) {
-  if (!album) return false;
-  return hiddenAlbumSlugs.has(album.slug) || hiddenAlbumSlugs.has(album.id);
-}
-
-function buildItemList(sourceAlbums) {
+function buildItemList(sourceAlbums, pickItems = album => album.items) {
   return sourceAlbums.flatMap(album =>
-    album.items.map((item, index) => ({
+    pickItems(album).map((item, index) => ({
       ...item,
       albumId: album.id,
       albumSlug: album.slug,
       albumName: album.name,
       albumIndex: index,
-      albumOrderIndex: typeof album.orderIndex === 'number' ? album.orderIndex : Number.POSITIVE_INFINITY
+      albumOrderIndex: album.treeIndex
     }))
   );
 }
 
+// `Countries/France` → `countries/france`: nested folders become nested album routes.
+function albumSlug(folderId) {
+  return folderId
+    .split('/')
+    .filter(Boolean)
+    .map(segment => slugify(segment))
+    .join('/') || slugify(folderId);
+}
+
+function parentFolderId(folderId) {
+  const segments = folderId.split('/').filter(Boolean);
+  return segments.length > 1 ? segments.slice(0, -1).join('/') : null;
+}
+
+function createAlbum(folderId, rawItems = []) {
+  const slug = albumSlug(folderId);
+  const displayName = albumDisplayName(folderId);
+  const normalised = rawItems.map(item => normaliseItem(item, folderId, { slug, name: displayName }));
+  const config = getAlbumConfig(folderId);
+  const descriptions = config.description.en ? localizeAlbumText(config.description) : null;
+  return {
+    id: folderId,
+    slug,
+    name: displayName,
+    titles: localizeAlbumText(config.title, displayName),
+    description: descriptions?.en || '',
+    descriptions,
+    config,
+    visibility: config.visibility,
+    sort: config.sort,
+    parentId: parentFolderId(folderId),
+    // Swapped cards leave the album listing and live on in the archive view.
+    items: normalised.filter(item => item.status !== 'swapped'),
+    archivedItems: normalised.filter(item => item.status === 'swapped'),
+    orderIndex: config.orderIndex
+  };
+}
+
+function compareAlbums(a, b) {
+  const indexA = typeof a.orderIndex === 'number' ? a.orderIndex : Number.POSITIVE_INFINITY;
+  const indexB = typeof b.orderIndex === 'number' ? b.orderIndex : Number.POSITIVE_INFINITY;
+  if (indexA !== indexB) {
+    return indexA - indexB;
+  }
+  return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
+}
+
+const visibilityRank = { listed: 0, unlisted: 1, hidden: 2 };
+
+/**
+ * Walks the tree top-down: a sub-album is at least as hidden as its parent,
+ * and every album collects the postcards, counts and cover of its subtree.
+ */
+function resolveSubtree(album, parent, childrenById, ordered) {
+  if (parent && visibilityRank[parent.visibility] > visibilityRank[album.visibility]) {
+    album.visibility = parent.visibility;
+  }
+  album.depth = parent ? parent.depth + 1 : 0;
+  album.ancestors = parent ? [...parent.ancestors, { id: parent.id, slug: parent.slug, name: parent.name }] : [];
+  // Position in the depth-first walk; /postcards groups cards in this album order.
+  album.treeIndex = ordered.length;
+  ordered.push(album);
+
+  const children = (childrenById.get(album.id) || []).sort(compareAlbums);
+  children.forEach(child => resolveSubtree(child, album, childrenById, ordered));
+
+  const shownChildren = children.filter(child => child.visibility !== 'hidden');
+  album.allItems = [...album.items, ...shownChildren.flatMap(child => child.allItems)];
+  album.allArchivedItems = [...album.archivedItems, ...shownChildren.flatMap(child => child.allArchivedItems)];
+  // Only listed sub-albums show up in navigation.
+  album.children = children.filter(child => child.visibility === 'listed');
+  // The configured cover leads the album card; without one the first postcards (or the first sub-album's cover) do.
+  const configuredCover = album.config.cover
+    ? [...album.allItems, ...album.allArchivedItems].find(item => item.id === album.config.cover)
+    : null;
+  album.cover = configuredCover || album.items[0] || shownChildren.find(child => child.cover)?.cover || null;
+}
+
 function buildAlbums() {
-  const entries = Object.entries(galleryData.folders || {});
-  const allAlbums = entries
-    .map(([folder, rawItems]) => {
-      const cleanedId = cleanFolderId(folder);
-      const items = (rawItems || []).map(item => normaliseItem(item, cleanedId));
-      const name = humanizeFolder(folder);
-      const displayName = name === 'Main Album' ? 'Main Folder' : name;
-      const orderIndex = getOrderIndex(cleanedId, displayName);
-      return {
-        id: cleanedId,
-        slug: slugify(cleanedId),
-        name: displayName,
-        items,
-        orderIndex
-      };
-    })
-    .filter(album => album.items.length > 0)
-    .sort((a, b) => {
-      const indexA = typeof a.orderIndex === 'number' ? a.orderIndex : Number.POSITIVE_INFINITY;
-      const indexB = typeof b.orderIndex === 'number' ? b.orderIndex : Number.POSITIVE_INFINITY;
-      if (indexA !== indexB) {
-        return indexA - indexB;
-      }
-      return a.name.localeCompare(b.name, undefined, { sensitivity: 'base' });
-    });
+  const byId = new Map();
+  for (const [folder, rawItems] of Object.entries(galleryData.folders || {})) {
+    const album = createAlbum(cleanFolderId(folder), rawItems || []);
+    if (album.items.length > 0 || album.archivedItems.length > 0) byId.set(album.id, album);
+  }
+  // Parents without postcards of their own still get an album, so every level of the tree has a page.
+  for (const id of Array.from(byId.keys())) {
+    let parentId = parentFolderId(id);
+    while (parentId && !byId.has(parentId)) {
+      byId.set(parentId, createAlbum(parentId));
+      parentId = parentFolderId(parentId);
+    }
+  }
+
+  const roots = [];
+  const childrenById = new Map();
+  byId.forEach(album => {
+    if (!album.parentId) {
+      roots.push(album);
+      return;
+    }
+    if (!childrenById.has(album.parentId)) childrenById.set(album.parentId, []);
+    childrenById.get(album.parentId).push(album);
+  });
+
+  // Depth-first, so flat lists keep every sub-album right after its parent.
+  const allAlbums = [];
+  roots.sort(compareAlbums).forEach(album => resolveSubtree(album, null, childrenById, allAlbums));
 
   const hiddenAlbumIds = new Set(
-    allAlbums.filter(album => isAlbumHiddenInternal(album)).map(album => album.id)
+    allAlbums.filter(album => album.visibility === 'hidden').map(album => album.id)
   );
-  const albums = allAlbums.filter(album => !hiddenAlbumIds.has(album.id));
+  // Unlisted albums keep their page and their cards in /postcards, but stay out of album navigation.
+  const publishedAlbums = allAlbums.filter(album => !hiddenAlbumIds.has(album.id));
+  const albums = publishedAlbums.filter(album => album.visibility !== 'unlisted');
   const { map: tagMap, list: tags } = buildTagIndex(allAlbums);
 
   return {
     allAlbums,
+    publishedAlbums,
     albums,
     tags,
     tagMap,
@@ -240,18 +311,29 @@ function buildAlbums() {
   };
 }
 
-const { allAlbums, albums, tags, tagMap, hiddenAlbumIds } = buildAlbums();
+const { allAlbums, publishedAlbums, albums, tags, tagMap, hiddenAlbumIds } = buildAlbums();
 
+/** Albums shown in navigation, sub-albums included, parents first. */
 export function getAlbums() {
   return albums;
 }
 
+/** Top-level listed albums; their sub-albums hang off `children`. */
+export function getRootAlbums() {
+  return albums.filter(album => album.depth === 0);
+}
+
+/** Every album that has a page: listed and unlisted ones. */
+export function getPublishedAlbums() {
+  return publishedAlbums;
+}
+
 export function getAlbumBySlug(slug) {
   return allAlbums.find(album => album.slug === slug);
 }
 
 export function getAlbumPaths() {
-  return albums.map(album => ({
+  return publishedAlbums.map(album => ({
     params: { album: album.slug }
   }));
 }
@@ -265,6 +347,11 @@ export function isAlbumHidden(albumOrSlug) {
   return hiddenAlbumIds.has(albumOrSlug.id);
 }
 
+export function isAlbumUnlisted(albumOrSlug) {
+  const album = typeof albumOrSlug === 'string' ? getAlbumBySlug(albumOrSlug) : albumOrSlug;
+  return album?.visibility === 'unlisted';
+}
+
 export function getTags() {
   return tags;
 }
@@ -279,17 +366,45 @@ export function getTagPaths() {
   }));
 }
 
+// Options for the facet filter on /postcards: only values that occur in `items`.
+export function getFacetOptions(items = getVisibleItems()) {
+  const tagCodes = new Set(items.flatMap(item => item.tags));
+  const albumOptions = new Map();
+  const authors = new Set();
+  items.forEach(item => {
+    if (item.albumSlug && !albumOptions.has(item.albumSlug)) {
+      albumOptions.set(item.albumSlug, { slug: item.albumSlug, name: item.albumName });
+    }
+    if (item.author) authors.add(item.author);
+  });
+  return {
+    tags: tags
+      .filter(tag => tagCodes.has(tag.code))
+      .map(({ code, label, slug, group }) => ({ code, label, slug, group })),
+    albums: Array.from(albumOptions.values()),
+    authors: Array.from(authors).sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }))
+  };
+}
+
 export function getItemsForTag(code) {
   const existing = tagMap.get(code);
   return existing ? [...existing] : [];
 }
 
 export function getAllItems() {
-  return buildItemList(allAlbums);
+  return buildItemList(allAlbums, album => [...album.items, ...album.archivedItems]);
 }
 
 export function getVisibleItems() {
-  return buildItemList(albums);
+  return buildItemList(publishedAlbums);
+}
+
+export function getArchivedItems() {
+  return buildItemList(publishedAlbums, album => album.archivedItems);
+}
+
+export function getSwapStatuses() {
+  return [...swapStatuses];
 }
 
 export function getItemById(id) {
@@ -304,6 +419,56 @@ export function getItemPaths() {
   }));
 }
 
+function toTime(value) {
+  const time = Date.parse(value || '');
+  return Number.isFinite(time) ? time : 0;
+}
+
+export function getHistoryBaseline() {
+  return historyData.baseline || null;
+}
+
+/** When the collection was first recorded: the history baseline, else the snapshot date. */
+export function getSnapshotDate() {
+  return historyData.baseline || rawGallery.generatedAt || null;
+}
+
+export function getNewArrivals(limit = Number.POSITIVE_INFINITY) {
+  return getVisibleItems()
+    .filter(item => item.addedAt)
+    .sort((a, b) => toTime(b.addedAt) - toTime(a.addedAt))
+    .slice(0, limit);
+}
+
+export function getChangelog() {
+  const itemsById = new Map(getVisibleItems().map(item => [item.id, item]));
+  const entries = Array.isArray(historyData.entries) ? historyData.entries : [];
+  return entries
+    .slice()
+    .sort((a, b) => toTime(b.date) - toTime(a.date))
+    .map(entry => ({
+      date: entry.date,
+      added: (entry.added || []).map(change => itemsById.get(change.id)).filter(Boolean),
+      removed: (entry.removed || [])
+        .filter(change => getAlbumConfig(cleanFolderId(change.folder)).visibility !== 'hidden')
+        .map(change => ({
+          ...change,
+          albumName: albumDisplayName(change.folder)
+        })),
+      moved: (entry.moved || [])
+        .filter(change => itemsById.has(change.id))
+        .map(change => ({
+          ...change,
+          item: itemsById.get(change.id),
+          fromName: albumDisplayName(change.from),
+          toName: albumDisplayName(change.to)
+        })),
+      retagged: (entry.retagged || [])
+        .filter(change => itemsById.has(change.id))
+        .map(change => ({ ...change, item: itemsById.get(change.id) }))
+    }));
+}
+
 export const hero = {
   title: "amarantha's postcards for swap",
   subtitle: 'collected with love, shared with joy'
@@ -311,5 +476,7 @@ export const hero = {
 
 export const site = {
   title: "amarantha's postcards",
-  description: 'Postcards waiting for new journeys'
+  description: 'Postcards waiting for new journeys',
+  contactEmail: 'amarrantha@yandex.com',
+  postcrossingUser: 'amarantha'
 };
@@ -0,0 +1,66 @@
+/**
+ * Offline half of the geocoder, shared by the build and the scripts in
+ * `scripts/geocoding.mjs`. Coordinates live in two files keyed by
+ * `CC:city` (`FR:rouen`, `US:new york city`): `geocode-cache.json` holds
+ * provider results, `geocode-overrides.json` hand-picked ones that win over
+ * the cache and are never overwritten.
+ */
+
+import { countryName } from './countries.js';
+
+function stripDiacritics(value) {
+  return String(value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/** Cache key for a place: `toPlaceKey('FR', 'Aix-en-Provence')` → `FR:aix en provence`. */
+export function toPlaceKey(countryCode, city) {
+  const name = stripDiacritics(city)
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+  return `${String(countryCode || '').trim().toUpperCase()}:${name}`;
+}
+
+/** Postcrossing gives `Victoria, British Columbia`; the city is the part before the first comma. */
+export function cityFromPostcrossing(citySent) {
+  return String(citySent || '').split(',')[0].trim();
+}
+
+/**
+ * Both ends of a Postcrossing card as `{ countryCode, city }`. Cards cached
+ * without a recipient city end in the recipient country (`DE:germany`);
+ * `destination` is `null` when even the country is unknown.
+ */
+export function getCardPlaces(card) {
+  const origin = { countryCode: card.country_code, city: cityFromPostcrossing(card.city_sent) };
+  const countryCode = card.recipient_country_code || '';
+  const city = cityFromPostcrossing(card.recipient_city) || countryName(countryCode) || '';
+  return { origin, destination: countryCode && city ? { countryCode, city } : null };
+}
+
+function toCoordinates(entry) {
+  const lat = Number(entry?.lat);
+  const lng = Number(entry?.lng);
+  return entry && Number.isFinite(lat) && Number.isFinite(lng) ? { lat, lng } : null;
+}
+
+/**
+ * Looks places up in the override and cache objects without touching the
+ * network. `lookup` returns `{ lat, lng, source }` with source `override` or
+ * `cache`, or `null` when neither file knows the place.
+ */
+export function createPlaceLookup({ cache = {}, overrides = {} } = {}) {
+  return {
+    lookup(countryCode, city) {
+      const key = toPlaceKey(countryCode, city);
+      const override = toCoordinates(overrides[key]);
+      if (override) return { ...override, source: 'override' };
+      const cached = toCoordinates(cache[key]);
+      if (cached) return { ...cached, source: 'cache' };
+      return null;
+    }
+  };
+}
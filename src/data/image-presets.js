@@ -0,0 +1,73 @@
+import { Cloudinary } from '@cloudinary/url-gen';
+import { fill, limitFit } from '@cloudinary/url-gen/actions/resize';
+import { autoGravity } from '@cloudinary/url-gen/qualifiers/gravity';
+
+/**
+ * Named Cloudinary transformations shared by the fetch scripts, the gallery
+ * data layer and the map. `width` is the rendition used for plain `src`
+ * attributes and `widths` the `srcset` candidates. Fill presets keep their
+ * aspect ratio at every width.
+ */
+export const IMAGE_PRESETS = {
+  preview: {
+    crop: 'limit',
+    width: 1200,
+    widths: [480, 800, 1200, 1600, 2000]
+  },
+  grid: {
+    crop: 'limit',
+    width: 720,
+    widths: [360, 540, 720, 1080, 1440]
+  },
+  thumb: { crop: 'fill', width: 480, height: 360 },
+  map: { crop: 'limit', width: 800 },
+  mapCompact: { crop: 'limit', width: 400 }
+};
+
+function getPreset(name) {
+  const preset = IMAGE_PRESETS[name];
+  if (!preset) throw new Error(`Unknown image preset "${name}"`);
+  return preset;
+}
+
+function resizeAction(preset, width) {
+  if (preset.crop === 'fill') {
+    const height = Math.round((preset.height * width) / preset.width);
+    return fill().width(width).height(height).gravity(autoGravity());
+  }
+  return limitFit().width(width);
+}
+
+/**
+ * `{ width, widths }` for every preset with `srcset` candidates. The lightbox
+ * builds the `srcset` in the browser from these and the item's `limit` URL,
+ * so the pages do not carry a full `srcset` string per image.
+ */
+export function getSrcsetPresets() {
+  return Object.fromEntries(
+    Object.entries(IMAGE_PRESETS)
+      .filter(([, preset]) => preset.crop === 'limit' && preset.widths)
+      .map(([name, preset]) => [name, { width: preset.width, widths: preset.widths }])
+  );
+}
+
+/**
+ * Returns a `{ url }` helper bound to one Cloudinary cloud, or `null` when
+ * no cloud name is known (local-folder sources).
+ */
+export function createImagePresetBuilder(cloudName) {
+  if (!cloudName) return null;
+  const cld = new Cloudinary({
+    cloud: { cloudName },
+    url: { secure: true }
+  });
+
+  const url = (publicId, name, width = getPreset(name).width) => {
+    const image = cld.image(publicId);
+    image.format('auto').quality('auto');
+    image.resize(resizeAction(getPreset(name), width));
+    return image.toURL();
+  };
+
+  return { url };
+}
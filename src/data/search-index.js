@@ -0,0 +1,27 @@
+import { getAlbumBySlug, getVisibleItems } from './gallery.js';
+import { filterVisibleTags } from './tag-visibility.js';
+
+function unique(values) {
+  return Array.from(new Set(values.filter(value => typeof value === 'string' && value.trim().length > 0)));
+}
+
+/**
+ * Build the static search index served as `search-index.json`.
+ * One entry per visible postcard; fields hold plain text only, matching and
+ * ranking happen in the browser.
+ */
+export function buildSearchIndex() {
+  return getVisibleItems().map(item => {
+    // Every translation of the album and tag names, so a Russian visitor can type "коты".
+    const albumTitles = getAlbumBySlug(item.albumSlug)?.titles || {};
+    const tags = filterVisibleTags(Array.isArray(item.tagDetails) ? item.tagDetails : []);
+    return {
+      id: item.id,
+      title: item.title || '',
+      description: item.description || '',
+      author: item.author || '',
+      album: unique([item.albumName, ...Object.values(albumTitles)]),
+      tags: unique(tags.flatMap(tag => [tag.label, ...Object.values(tag.labels || {})]))
+    };
+  });
+}
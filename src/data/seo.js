@@ -0,0 +1,120 @@
+import travelPoints from './travel-points.json';
+import { getAlbumBySlug, getAlbums, getAllItems, getTags, isAlbumHidden } from './gallery.js';
+import { filterVisibleTags, isTagHidden } from './tag-visibility.js';
+import { getEntryDate } from './feeds.js';
+import { IMAGE_PRESETS } from './image-presets.js';
+import { absoluteUrl, basePath, escapeXml } from './site-urls.js';
+
+// Top-level pages worth indexing; /search only makes sense with a query.
+const STATIC_PAGES = ['', 'postcards', 'new', 'archive', 'map', 'travel', 'books', 'about'];
+
+function toIsoDate(value) {
+  const time = Date.parse(value || '');
+  return Number.isFinite(time) ? new Date(time).toISOString() : null;
+}
+
+// Postcards from hidden albums keep their pages but stay out of the index.
+function getIndexableItems() {
+  return getAllItems().filter(item => !isAlbumHidden(item.albumSlug));
+}
+
+function findTravelPoint(item) {
+  return (
+    travelPoints.find(point => item.placeId && point.id === item.placeId) ||
+    travelPoints.find(point => point.postcardId === item.id) ||
+    null
+  );
+}
+
+/**
+ * `sitemap.xml` with the image extension: one `<image:image>` per postcard
+ * page, pointing at the same preview the lightbox shows.
+ */
+export function buildSitemap(siteUrl) {
+  const urls = [
+    ...STATIC_PAGES.map(path => ({ path })),
+    ...getAlbums().map(album => ({ path: `album/${album.slug}` })),
+    ...getTags()
+      .filter(tag => !isTagHidden(tag))
+      .map(tag => ({ path: `tag/${tag.slug}` })),
+    ...getIndexableItems().map(item => ({
+      path: `postcard/${item.id}`,
+      lastmod: toIsoDate(getEntryDate(item)),
+      image: item.previewUrl || item.gridUrl || ''
+    }))
+  ];
+
+  const body = urls
+    .map(({ path, lastmod, image }) =>
+      [
+        '  <url>',
+        `    <loc>${escapeXml(absoluteUrl(`${basePath}${path}`, siteUrl))}</loc>`,
+        lastmod && `    <lastmod>${lastmod}</lastmod>`,
+        image && `    <image:image><image:loc>${escapeXml(absoluteUrl(image, siteUrl))}</image:loc></image:image>`,
+        '  </url>'
+      ]
+        .filter(Boolean)
+        .join('\n')
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+${body}
+</urlset>
+`;
+}
+
+/**
+ * schema.org `VisualArtwork` for a postcard page, with the scan as its
+ * `ImageObject` and the travel point behind `placeId` as `contentLocation`.
+ */
+export function buildPostcardJsonLd(item, siteUrl) {
+  const pageUrl = absoluteUrl(`${basePath}postcard/${item.id}`, siteUrl);
+  const imageUrl = item.previewUrl || item.gridUrl || item.thumbUrl;
+  const keywords = filterVisibleTags(Array.isArray(item.tagDetails) ? item.tagDetails : []).map(tag => tag.label);
+  const album = getAlbumBySlug(item.albumSlug);
+  const point = findTravelPoint(item);
+  const published = toIsoDate(getEntryDate(item));
+
+  // The preview is a `limit` crop, so it is the original scaled down to the preset width at most.
+  const scale = item.width ? Math.min(1, IMAGE_PRESETS.preview.width / item.width) : 1;
+  const image = imageUrl
+    ? {
+        '@type': 'ImageObject',
+        contentUrl: absoluteUrl(imageUrl, siteUrl),
+        ...(item.thumbUrl ? { thumbnailUrl: absoluteUrl(item.thumbUrl, siteUrl) } : {}),
+        ...(item.width && item.height
+          ? { width: Math.round(item.width * scale), height: Math.round(item.height * scale) }
+          : {}),
+        ...(item.description ? { caption: item.description } : {})
+      }
+    : null;
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'VisualArtwork',
+    '@id': pageUrl,
+    url: pageUrl,
+    name: item.title,
+    ...(item.description ? { description: item.description } : {}),
+    artform: 'Postcard',
+    ...(image ? { image } : {}),
+    ...(item.author ? { creator: { '@type': 'Person', name: item.author } } : {}),
+    ...(keywords.length ? { keywords: keywords.join(', ') } : {}),
+    ...(point
+      ? {
+          contentLocation: {
+            '@type': 'Place',
+            name: point.city,
+            address: { '@type': 'PostalAddress', addressLocality: point.city, addressCountry: point.countryCode },
+            geo: { '@type': 'GeoCoordinates', latitude: point.lat, longitude: point.lng }
+          }
+        }
+      : {}),
+    ...(album && !isAlbumHidden(album)
+      ? { isPartOf: { '@type': 'Collection', name: album.name, url: absoluteUrl(`${basePath}album/${album.slug}`, siteUrl) } }
+      : {}),
+    ...(published ? { datePublished: published } : {})
+  };
+}
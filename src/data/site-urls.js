@@ -0,0 +1,36 @@
+const baseUrl = import.meta.env?.BASE_URL || '/';
+
+/** The site base with a trailing slash, e.g. `/cardgallery/`. */
+export const basePath = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+
+/**
+ * Resolves a root-relative path against the configured `site`. Sitemaps and
+ * feeds require absolute URLs, so a missing `site` fails the build instead of
+ * emitting the bare path.
+ */
+export function absoluteUrl(path, siteUrl) {
+  if (!siteUrl) {
+    throw new Error(`Cannot make "${path}" absolute: set SITE_URL or \`site\` in astro.config.mjs`);
+  }
+  return new URL(path, siteUrl).href;
+}
+
+export function escapeXml(value = '') {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/** URL segment for album and tag pages: `Dutch-style` → `dutch-style`. */
+export function slugify(input = '') {
+  return (
+    input
+      .trim()
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'collection'
+  );
+}
@@ -0,0 +1,66 @@
+import tagConfig from './tag-config.json';
+import { createTagResolver } from './tag-keys.js';
+
+const LOCALES = ['en', 'ru'];
+const config = tagConfig || {};
+const definitions = config.tags || {};
+const groups = Array.isArray(config.groups) ? config.groups : [];
+const groupOrder = new Map(groups.map((group, index) => [group.id, index]));
+
+const resolveTag = createTagResolver(definitions);
+
+/** Maps a raw tag (any spelling or alias) to its canonical code. */
+export function resolveTagCode(raw) {
+  return resolveTag(raw);
+}
+
+function getDefinition(code) {
+  return definitions[resolveTagCode(code)] || {};
+}
+
+export function isTagCodeHidden(code) {
+  return getDefinition(code).hidden === true;
+}
+
+/** Per-locale labels; unconfigured tags and missing locales fall back to English, then the code. */
+export function getTagLabels(code) {
+  const canonical = resolveTagCode(code);
+  const label = getDefinition(canonical).label || {};
+  return Object.fromEntries(LOCALES.map(locale => [locale, label[locale] || label.en || canonical]));
+}
+
+export function getTagGroupId(code) {
+  const group = getDefinition(code).group;
+  return group && groupOrder.has(group) ? group : null;
+}
+
+/** `{ [code]: label }` for one locale, merged into the `tags` i18n namespace. */
+export function getTagLocaleLabels(locale) {
+  return Object.fromEntries(Object.keys(definitions).map(code => [code, getTagLabels(code)[locale]]));
+}
+
+/** `{ [groupId]: label }` for one locale, merged into the `tagGroups` i18n namespace. */
+export function getTagGroupLocaleLabels(locale) {
+  return Object.fromEntries(groups.map(group => [group.id, group.label[locale] || group.label.en]));
+}
+
+/**
+ * Splits a tag list into the configured groups, in config order, keeping the
+ * order of `tags` inside each group. Ungrouped tags come last with `id: null`.
+ */
+export function groupTags(tags = []) {
+  const buckets = new Map();
+  for (const tag of tags) {
+    const id = tag.group ?? getTagGroupId(tag.code);
+    if (!buckets.has(id)) buckets.set(id, []);
+    buckets.get(id).push(tag);
+  }
+  const rank = id => (id === null ? Number.POSITIVE_INFINITY : groupOrder.get(id));
+  return Array.from(buckets.entries())
+    .sort(([a], [b]) => rank(a) - rank(b))
+    .map(([id, list]) => ({
+      id,
+      label: id === null ? null : getTagGroupLocaleLabels('en')[id],
+      tags: list
+    }));
+}
@@ -0,0 +1,29 @@
+/**
+ * Tag matching shared by `tag-config.js` and `scripts/validate-data.mjs`.
+ * Kept free of JSON imports so the Node scripts can load it as is.
+ */
+
+// Case, spaces and punctuation never tell two tags apart: "Dutch-style" and "dutch style" are one tag.
+export const toTagKey = (value = '') =>
+  String(value)
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]/gu, '');
+
+/**
+ * Maps any spelling or alias of a tag in `definitions` (the `tags` object of
+ * `tag-config.json`) to its canonical code; unknown tags come back trimmed.
+ */
+export function createTagResolver(definitions = {}) {
+  const canonicalByKey = new Map();
+  for (const [code, definition] of Object.entries(definitions)) {
+    canonicalByKey.set(toTagKey(code), code);
+    for (const alias of Array.isArray(definition?.aliases) ? definition.aliases : []) {
+      canonicalByKey.set(toTagKey(alias), code);
+    }
+  }
+  return raw => {
+    const trimmed = String(raw ?? '').trim();
+    return canonicalByKey.get(toTagKey(trimmed)) || trimmed;
+  };
+}
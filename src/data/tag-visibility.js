@@ -1,4 +1,13 @@
-const hiddenTagSlugs = new Set(['envelope']);
+import tagConfig from './tag-config.json';
+import { isTagCodeHidden } from './tag-config.js';
+import { slugify } from './site-urls.js';
+
+// Hidden tags keep their pages but stay out of navigation; see `hidden` in tag-config.json.
+const hiddenTagSlugs = new Set(
+  Object.keys(tagConfig.tags || {})
+    .filter(code => isTagCodeHidden(code))
+    .map(code => slugify(code))
+);
 
 function getSlug(value) {
   if (!value) return null;
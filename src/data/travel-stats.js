@@ -0,0 +1,148 @@
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const LEADERBOARD_SIZE = 5;
+
+/**
+ * Travel dates are stored as ISO days (`2025-10-18`); older caches and the
+ * Postcrossing pages themselves print `18 Oct, 2025`. Returns a UTC `Date`,
+ * or `null` for anything else so one odd card does not skew the month chart.
+ */
+export function parsePostcrossingDate(value) {
+  const text = String(value || '').trim();
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) return new Date(Date.UTC(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3])));
+  const match = text.match(/^(\d{1,2})\s+([A-Za-z]{3})[a-z]*,?\s+(\d{4})$/);
+  if (!match) return null;
+  const month = MONTHS.indexOf(match[2].toLowerCase());
+  if (month === -1) return null;
+  return new Date(Date.UTC(Number(match[3]), month, Number(match[1])));
+}
+
+/** `18 Oct, 2025` or `2025-10-18T09:12:00Z` → `2025-10-18`; `null` when unparseable. */
+export function toIsoDate(value) {
+  const date = parsePostcrossingDate(value);
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+const monthKey = date => `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+
+function summarize(values) {
+  if (values.length === 0) return { count: 0, total: 0, average: null, median: null, min: null, max: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  return {
+    count: sorted.length,
+    total,
+    average: Math.round((total / sorted.length) * 10) / 10,
+    median,
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+// Every month between the first and last card, empty ones included, so the timeline keeps its scale.
+function buildTimeline(dates) {
+  if (dates.length === 0) return [];
+  const counts = new Map();
+  for (const date of dates) {
+    const key = monthKey(date);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const times = dates.map(date => date.getTime());
+  const first = new Date(Math.min(...times));
+  const last = new Date(Math.max(...times));
+  const months = [];
+  for (
+    let cursor = new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), 1));
+    cursor <= last;
+    cursor = new Date(Date.UTC(cursor.getUTCFullYear(), cursor.getUTCMonth() + 1, 1))
+  ) {
+    const key = monthKey(cursor);
+    months.push({ key, year: cursor.getUTCFullYear(), month: cursor.getUTCMonth() + 1, count: counts.get(key) || 0 });
+  }
+  return months;
+}
+
+/** `sent` or `received`; the fetcher always sets it, so anything else counts as received. */
+export function getCardDirection(card) {
+  return card.direction === 'sent' ? 'sent' : 'received';
+}
+
+/**
+ * The end of a card's journey that is not the collector's: where a sent card
+ * went, where a received one came from. `{ code, name, city }`, with the city
+ * cut to its first part (`Rouen, Normandy` → `Rouen`).
+ */
+export function getCardCounterpart(card) {
+  const sent = getCardDirection(card) === 'sent';
+  return {
+    code: (sent ? card.recipient_country_code : card.country_code) || '',
+    name: (sent ? card.recipient_country : card.country_name) || '',
+    city: String((sent ? card.recipient_city : card.city_sent) || '').split(',')[0].trim()
+  };
+}
+
+function rank(cards, field, direction) {
+  return cards
+    .filter(card => typeof card[field] === 'number')
+    .sort((a, b) => (direction === 'asc' ? a[field] - b[field] : b[field] - a[field]) || a.id.localeCompare(b.id))
+    .slice(0, LEADERBOARD_SIZE);
+}
+
+/**
+ * Everything the /travel dashboard shows for one direction, computed once at
+ * build time from the cards in `travel-postcards.json`. Countries and cities
+ * are the other end of each card (see getCardCounterpart()). Months are
+ * counted by the date a card arrived, falling back to the date it was sent.
+ */
+export function getTravelStats(cards = []) {
+  const transit = summarize(cards.map(card => card.days_in_transit).filter(value => typeof value === 'number'));
+  const distance = summarize(cards.map(card => card.distance_km).filter(value => typeof value === 'number'));
+
+  const countryMap = new Map();
+  for (const card of cards) {
+    const { code, name } = getCardCounterpart(card);
+    if (!countryMap.has(code)) countryMap.set(code, { code, name, cards: [] });
+    countryMap.get(code).cards.push(card);
+  }
+  const byCountry = Array.from(countryMap.values())
+    .map(({ code, name, cards: countryCards }) => ({
+      code,
+      name,
+      count: countryCards.length,
+      averageTransit: summarize(
+        countryCards.map(card => card.days_in_transit).filter(value => typeof value === 'number')
+      ).average
+    }))
+    .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+
+  const arrivals = cards
+    .map(card => parsePostcrossingDate(card.received_date) || parsePostcrossingDate(card.date_sent))
+    .filter(date => date !== null);
+
+  const cities = new Set(
+    cards
+      .map(getCardCounterpart)
+      .filter(place => place.city)
+      .map(place => `${place.code}:${place.city}`)
+  );
+
+  return {
+    totals: {
+      cards: cards.length,
+      countries: byCountry.length,
+      // Cards cached before recipient cities were fetched know only the country.
+      cities: cities.size || null
+    },
+    transit,
+    distance,
+    byCountry,
+    byMonth: buildTimeline(arrivals),
+    leaderboard: {
+      fastest: rank(cards, 'days_in_transit', 'asc'),
+      slowest: rank(cards, 'days_in_transit', 'desc'),
+      farthest: rank(cards, 'distance_km', 'desc')
+    }
+  };
+}
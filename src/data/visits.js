@@ -0,0 +1,45 @@
+// Visit dates on travel points: `"2014"`, `"2014-05"`, `"2014-05-12"`, or a
+// range `{ "from": "2016-07", "to": "2018" }` (`to` may be left out).
+const VISIT_DATE = /^(\d{4})(?:-(0[1-9]|1[0-2])(?:-(0[1-9]|[12]\d|3[01]))?)?$/;
+// Older points kept the year in the description, e.g. "First visited: 2014".
+const DESCRIPTION_VISIT = /^\s*first visited:?\s*(\d{4}(?:-\d{2}(?:-\d{2})?)?)\s*\.?\s*$/i;
+
+function isVisitDate(value) {
+  return typeof value === 'string' && VISIT_DATE.test(value.trim());
+}
+
+/**
+ * Normalises a `visited` value to `{ from, to, startYear, endYear }`, where
+ * `to` repeats `from` for a single date. Returns `null` when the value is
+ * missing, malformed, or the range ends before it starts.
+ */
+export function parseVisit(value) {
+  if (value == null || value === '') return null;
+  const range = typeof value === 'string' ? { from: value } : value;
+  if (typeof range !== 'object' || !isVisitDate(range.from)) return null;
+  if (range.to != null && !isVisitDate(range.to)) return null;
+
+  const from = range.from.trim();
+  const to = range.to != null ? range.to.trim() : from;
+  // Compare on the longer form so `2016` ends after `2016-03`.
+  if (to.padEnd(10, '9') < from) return null;
+  return { from, to, startYear: Number(from.slice(0, 4)), endYear: Number(to.slice(0, 4)) };
+}
+
+/** `2014` or `2016-07 – 2018`; an empty string for a missing or invalid value. */
+export function formatVisit(value) {
+  const visit = parseVisit(value);
+  if (!visit) return '';
+  return visit.from === visit.to ? visit.from : `${visit.from} – ${visit.to}`;
+}
+
+/**
+ * Pulls a "First visited: 2014" description apart into a `visited` value and
+ * whatever description is left (`null` when nothing is).
+ */
+export function visitFromDescription(description) {
+  const text = typeof description === 'string' ? description : '';
+  const match = text.match(DESCRIPTION_VISIT);
+  if (!match || !parseVisit(match[1])) return { visited: null, description: text.trim() || null };
+  return { visited: match[1], description: null };
+}
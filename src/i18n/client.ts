@@ -1,4 +1,5 @@
 import { getUserLocale, t, tPlural } from '../i18n';
+import { countryName } from '../data/countries.js';
 
 // Localize static text elements
 export function localizeStaticText() {
@@ -34,6 +35,17 @@ export function localizeStaticText() {
     }
   });
   
+  // Localize input placeholders
+  document.querySelectorAll('[data-i18n-placeholder]').forEach(el => {
+    const key = el.getAttribute('data-i18n-placeholder');
+    if (key && el instanceof HTMLInputElement) {
+      const translated = t(locale, key);
+      if (translated !== key) {
+        el.placeholder = translated;
+      }
+    }
+  });
+
   // Localize element titles (like back buttons)
   document.querySelectorAll('[data-i18n-back]').forEach(el => {
     const key = 'header.backToFolders';
@@ -60,9 +72,10 @@ export function localizeStaticText() {
     if (!text) return;
     
     if (i18nType === 'tag') {
-      // For tags, look in tags.* namespace
-      const translatedTag = t(locale, `tags.${text}`);
-      if (translatedTag && translatedTag !== text) {
+      // For tags, look in tags.* namespace; the title shows the label, so the code comes from data-i18n-key
+      const key = el.getAttribute('data-i18n-key') || `tags.${text}`;
+      const translatedTag = t(locale, key);
+      if (translatedTag && translatedTag !== key) {
         el.textContent = translatedTag;
       }
     } else if (i18nType === 'page') {
@@ -71,6 +84,14 @@ export function localizeStaticText() {
         el.textContent = t(locale, 'header.postcardFolders');
       } else if (text === 'All postcards') {
         el.textContent = t(locale, 'header.allPostcardsTitle');
+      } else if (text === 'New arrivals') {
+        el.textContent = t(locale, 'header.newArrivalsTitle');
+      } else if (text === 'Swap archive') {
+        el.textContent = t(locale, 'header.swapArchiveTitle');
+      } else if (text === 'Search') {
+        el.textContent = t(locale, 'header.searchTitle');
+      } else if (text === 'Swap basket') {
+        el.textContent = t(locale, 'header.swapBasketTitle');
       }
     } else {
       // For albums (default), look in albums.* namespace
@@ -104,6 +125,23 @@ export function localizeStaticText() {
     }
   });
   
+  // Localize country names rendered on the server in English
+  document.querySelectorAll('[data-country-code]').forEach(el => {
+    const name = countryName(el.getAttribute('data-country-code'), locale);
+    if (name) el.textContent = name;
+  });
+
+  // Localize dates rendered on the server in English
+  document.querySelectorAll('time[data-i18n-date]').forEach(el => {
+    const date = new Date(el.getAttribute('datetime') || '');
+    if (Number.isNaN(date.getTime())) return;
+    el.textContent = date.toLocaleDateString(locale === 'ru' ? 'ru-RU' : 'en-GB', {
+      day: 'numeric',
+      month: 'long',
+      year: 'numeric'
+    });
+  });
+
   // Localize counts with pluralization
   document.querySelectorAll('[data-count]').forEach(el => {
     const count = parseInt(el.getAttribute('data-count') || '0');
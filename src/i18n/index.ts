@@ -1,11 +1,29 @@
 import en from './locales/en.json';
 import ru from './locales/ru.json';
+import { getTagGroupLocaleLabels, getTagLocaleLabels } from '../data/tag-config.js';
+import { getAlbumDescriptionLocaleLabels, getAlbumTitleLocaleLabels } from '../data/album-config.js';
 
 export type Locale = 'en' | 'ru';
 
-export const locales: Record<Locale, typeof en> = {
-  en,
-  ru
+type Messages = typeof en & {
+  tags: Record<string, string>;
+  tagGroups: Record<string, string>;
+  albums: Record<string, string>;
+  albumDescriptions: Record<string, string>;
+};
+
+// Tag and album labels live in src/data/tag-config.json and album-config.json next to the rest of their setup.
+const withConfigLabels = (messages: typeof en, locale: Locale): Messages => ({
+  ...messages,
+  tags: getTagLocaleLabels(locale),
+  tagGroups: getTagGroupLocaleLabels(locale),
+  albums: getAlbumTitleLocaleLabels(locale),
+  albumDescriptions: getAlbumDescriptionLocaleLabels(locale)
+});
+
+export const locales: Record<Locale, Messages> = {
+  en: withConfigLabels(en, 'en'),
+  ru: withConfigLabels(ru, 'ru')
 };
 
 export const defaultLocale: Locale = 'en';
@@ -0,0 +1,11 @@
+import type { APIRoute } from 'astro';
+import { buildJsonFeed, getAlbumFeedPaths, getFeedSource } from '../../../data/feeds.js';
+
+export function getStaticPaths() {
+  return getAlbumFeedPaths();
+}
+
+export const GET: APIRoute = ({ params, site }) =>
+  new Response(JSON.stringify(buildJsonFeed(getFeedSource('album', params.album), site)), {
+    headers: { 'Content-Type': 'application/feed+json' }
+  });
@@ -0,0 +1,11 @@
+import type { APIRoute } from 'astro';
+import { buildAtomFeed, getAlbumFeedPaths, getFeedSource } from '../../../data/feeds.js';
+
+export function getStaticPaths() {
+  return getAlbumFeedPaths();
+}
+
+export const GET: APIRoute = ({ params, site }) =>
+  new Response(buildAtomFeed(getFeedSource('album', params.album), site), {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' }
+  });
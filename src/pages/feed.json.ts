@@ -0,0 +1,7 @@
+import type { APIRoute } from 'astro';
+import { buildJsonFeed, getFeedSource } from '../data/feeds.js';
+
+export const GET: APIRoute = ({ site }) =>
+  new Response(JSON.stringify(buildJsonFeed(getFeedSource(), site)), {
+    headers: { 'Content-Type': 'application/feed+json' }
+  });
@@ -0,0 +1,7 @@
+import type { APIRoute } from 'astro';
+import { buildAtomFeed, getFeedSource } from '../data/feeds.js';
+
+export const GET: APIRoute = ({ site }) =>
+  new Response(buildAtomFeed(getFeedSource(), site), {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' }
+  });
@@ -0,0 +1,7 @@
+import type { APIRoute } from 'astro';
+import { buildSearchIndex } from '../data/search-index.js';
+
+export const GET: APIRoute = () =>
+  new Response(JSON.stringify({ generatedAt: new Date().toISOString(), items: buildSearchIndex() }), {
+    headers: { 'Content-Type': 'application/json' }
+  });
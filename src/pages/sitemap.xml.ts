@@ -0,0 +1,7 @@
+import type { APIRoute } from 'astro';
+import { buildSitemap } from '../data/seo.js';
+
+export const GET: APIRoute = ({ site }) =>
+  new Response(buildSitemap(site), {
+    headers: { 'Content-Type': 'application/xml; charset=utf-8' }
+  });
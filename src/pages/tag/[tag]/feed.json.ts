@@ -0,0 +1,11 @@
+import type { APIRoute } from 'astro';
+import { buildJsonFeed, getTagFeedPaths, getFeedSource } from '../../../data/feeds.js';
+
+export function getStaticPaths() {
+  return getTagFeedPaths();
+}
+
+export const GET: APIRoute = ({ params, site }) =>
+  new Response(JSON.stringify(buildJsonFeed(getFeedSource('tag', params.tag), site)), {
+    headers: { 'Content-Type': 'application/feed+json' }
+  });
@@ -0,0 +1,11 @@
+import type { APIRoute } from 'astro';
+import { buildAtomFeed, getTagFeedPaths, getFeedSource } from '../../../data/feeds.js';
+
+export function getStaticPaths() {
+  return getTagFeedPaths();
+}
+
+export const GET: APIRoute = ({ params, site }) =>
+  new Response(buildAtomFeed(getFeedSource('tag', params.tag), site), {
+    headers: { 'Content-Type': 'application/atom+xml; charset=utf-8' }
+  });